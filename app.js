@@ -7,115 +7,663 @@
 // Configuration
 ////////////////////////////////////////////////////////////////////////////////
 const STORAGE_KEY = 'royalMiniGolfState';
+const HISTORY_KEY = 'royalMiniGolfHistory';
+const SUSPENDED_KEY = 'royalMiniGolfSuspended';
+const HISTORY_VERSION = 1;
+const MAX_HISTORY_ROUNDS = 200;
 const MAX_PLAYERS = 6;
-const HOLES_COUNT = 18;
+const HANDICAP_HISTORY_ROUNDS = 5;
+const COURSE_MANIFEST_URL = 'holes.ini';
+const COURSE_CACHE_KEY = 'royalMiniGolfCourses';
+const COURSE_EDITS_KEY = 'royalMiniGolfCourseEdits';
+const ADMIN_PIN_KEY = 'royalMiniGolfAdminPin';
+const SERVICE_WORKER_URL = 'sw.js';
+const SOUND_KEY = 'royalMiniGolfSound';
+const CELEBRATION_MS = 2200;
+const ENTRY_MODE_KEY = 'royalMiniGolfEntryMode';
+const QUICK_PAD_STROKES = 6;
+const MAX_COURSE_HOLES = 36;
+const MAX_HOLE_PAR = 9;
+const LIVE_DEVICE_KEY = 'royalMiniGolfDevice';
+const LIVE_RETRY_MS = 5000;
+const LIVE_CODE_PATTERN = /^[A-Z0-9]{4,8}$/;
+const LIVE_ID_PATTERN = /^[a-z0-9]{4,32}$/;
+const TV_ROTATE_MS = 12000;
+const TV_BOARD_SIZE = 10;
+const TV_ACES_SHOWN = 8;
+const RESULT_CARD_WIDTH = 1080;
+const RESULT_CARD_HEIGHT = 1350;
+const SHARE_HASH_PREFIX = '#round=';
+const SHARE_VERSION = 2;
 
 ////////////////////////////////////////////////////////////////////////////////
 // Course Data
 ////////////////////////////////////////////////////////////////////////////////
-const courseNames = {
-  dragon: '🐉 Dragon Slayer',
-  knight: '⚔️ Knight\'s Challenge'
-};
-
-const coursePars = {
-  dragon: [2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 4],
-  knight: [2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 4]
-};
-
-const scoreOptions = [
-  { value: 1, label: '1 – Hole in One! ⭐' },
-  { value: 2, label: '2' },
-  { value: 3, label: '3' },
-  { value: 4, label: '4' },
-  { value: 5, label: '5' },
-  { value: 6, label: '6' },
-  { value: 7, label: '7' },
-  { value: 8, label: '8' },
-  { value: 9, label: '9' },
-  { value: 10, label: '10' },
-  { value: 11, label: '11+' }
-];
+// Populated from the course manifest (holes.ini) by loadCourses()
+let courses = {};
+let courseErrors = [];
+let courseWarnings = []; // problems in holes.ini that don't stop a course loading
+let courseManifestBase = ''; // holes.ini as loaded, before local edits
+let courseManifestText = ''; // the manifest in use, local edits included
 
 ////////////////////////////////////////////////////////////////////////////////
 // Game State
 ////////////////////////////////////////////////////////////////////////////////
-let currentCourse = 'dragon';
+let currentCourse = null;
 let players = [];
 let currentHole = 0;
 let gameStarted = false;
-let holeStories = {};
+let roundHoles = []; // [{ course, hole }] in play order; hole numbers are 1-based
+let scoringMode = 'gross'; // 'gross' or 'net' (strokes minus handicap)
+let scoringFormat = 'stroke'; // key of scoringFormats
+let tiebreaker = 'share'; // key of tiebreakers
+let maxStrokes = 'unlimited'; // key of maxStrokeRules
+let playoff = null; // sudden-death playoff after the last hole, see startPlayoff()
+let teams = null; // { mode, list: [{ name, members }] } when playing in teams
+let liveEvent = null; // live event this device scores a group for, see joinLiveEvent()
+let scoreLog = []; // every score change this round, see logScoreChange()
+let finishedRoundId = null; // history id of the round on the summary screen, see updateFinishedRound()
+
+// The state above as a round for the engine (engine.js). Scores are recorded
+// through it, and its listeners redraw and save, see recordScore()
+const game = createGame({
+  get course() { return currentCourse; },
+  get holes() { return roundHoles; },
+  get pars() { return isValidRoundHoles(roundHoles) ? getRoundPars() : []; },
+  get scoring() { return scoringMode; },
+  get format() { return scoringFormat; },
+  get tiebreaker() { return tiebreaker; },
+  get maxStrokes() { return maxStrokes; },
+  get playoff() { return playoff; },
+  get teams() { return teams; },
+  get players() { return players; }
+});
 
 ////////////////////////////////////////////////////////////////////////////////
-// INI Parser & Loader
+// Course Manifest
 ////////////////////////////////////////////////////////////////////////////////
-function parseINI(text) {
-  const lines = text.split(/[\r\n]+/);
-  const data = {};
-  let section = null;
+// holes.ini is read with parseINIDocument() from ini.js, loaded before this file
+const COURSE_FIELDS = ['name', 'icon', 'holes', 'pars', 'color', 'celebration', 'boss'];
+const DEFAULT_COURSE_COLOR = '#7c3aed';
+
+/**
+ * Build course definitions from a parsed manifest
+ * @param {Object} doc - Output of parseINIDocument()
+ * @returns {{courses: Object, errors: string[], warnings: string[]}} Valid courses, readable
+ *   errors for rejected ones and warnings for problems the courses load despite
+ */
+function parseCourseManifest(doc) {
+  const result = { courses: {}, errors: [], warnings: [] };
+  const at = line => line ? `line ${line}: ` : '';
+
+  for (const { line, message } of doc.warnings) result.warnings.push(`${at(line)}${message}`);
+  for (const [key, line] of Object.entries(doc.lines[''])) {
+    result.warnings.push(`${at(line)}"${key}" is not in a [course] section and is ignored`);
+  }
+
+  for (const [id, section] of Object.entries(doc.sections)) {
+    const lines = doc.lines[id];
+    const onLine = key => lines[key] ? ` (line ${lines[key]})` : '';
+
+    // Nothing course-like at all, e.g. a section meant for something else
+    if (!['name', 'holes', 'pars'].some(key => key in section)) {
+      result.warnings.push(`${at(lines[''])}unknown section [${id}] has no name, holes or pars and is ignored`);
+      continue;
+    }
+
+    const problems = [];
+
+    if (!/^[a-z0-9_-]+$/i.test(id)) {
+      problems.push('id may only contain letters, numbers, "-" and "_"');
+    }
+
+    const name = section.name || '';
+    if (!name) problems.push('missing "name"');
+
+    const holes = Number(section.holes);
+    if (!Number.isInteger(holes) || holes < 1 || holes > MAX_COURSE_HOLES) {
+      problems.push(`"holes" must be a whole number from 1 to ${MAX_COURSE_HOLES} (got "${section.holes ?? ''}")${onLine('holes')}`);
+    }
+
+    const pars = String(section.pars ?? '').split(',').map(p => Number(p.trim()));
+    if (!section.pars) {
+      problems.push('missing "pars"');
+    } else if (pars.some(p => !Number.isInteger(p) || p < 1 || p > MAX_HOLE_PAR)) {
+      problems.push(`every par must be a whole number from 1 to ${MAX_HOLE_PAR}${onLine('pars')}`);
+    } else if (Number.isInteger(holes) && pars.length !== holes) {
+      problems.push(`"pars" lists ${pars.length} holes but "holes" is ${holes}${onLine('pars')}`);
+    }
+
+    const color = section.color || DEFAULT_COURSE_COLOR;
+    if (!/^#[0-9a-f]{6}$/i.test(color)) {
+      problems.push(`"color" must be a hex colour like #7c3aed (got "${section.color}")${onLine('color')}`);
+    }
 
-  for (const lineRaw of lines) {
-    const line = lineRaw.trim();
-    if (!line || line.startsWith(';')) continue;
+    const celebration = section.celebration || 'sparkle';
+    if (!celebrationThemes[celebration]) {
+      problems.push(`"celebration" must be one of ${Object.keys(celebrationThemes).join(', ')} (got "${celebration}")${onLine('celebration')}`);
+    }
+
+    const boss = section.boss === undefined ? null : Number(section.boss);
+    if (boss !== null && (!Number.isInteger(boss) || boss < 1 || (Number.isInteger(holes) && boss > holes))) {
+      problems.push(`"boss" must be one of the course's holes (got "${section.boss}")${onLine('boss')}`);
+    }
 
-    if (line.startsWith('[') && line.endsWith(']')) {
-      section = line.slice(1, -1);
-      data[section] = {};
-    } else if (section) {
-      const idx = line.indexOf('=');
-      if (idx > 0) {
-        const key = line.slice(0, idx).trim();
-        const value = line.slice(idx + 1).trim();
-        data[section][key] = value;
+    // "3 = ..." is the story for hole 3, "3.name = ..." its name
+    const stories = {};
+    const holeNames = {};
+    for (const [key, value] of Object.entries(section)) {
+      if (COURSE_FIELDS.includes(key)) continue;
+
+      const [, number, field] = key.match(/^(\d+)(?:\.(name))?$/) || [];
+      const hole = Number(number);
+      if (!number) {
+        problems.push(`unknown key "${key}"${onLine(key)}`);
+      } else if (hole < 1 || hole > holes) {
+        problems.push(`${field || 'story'} for hole ${number} but the course has ${section.holes} holes${onLine(key)}`);
+      } else if (field) {
+        holeNames[hole] = value;
+      } else {
+        stories[hole] = value;
       }
     }
+
+    if (problems.length > 0) {
+      result.errors.push(`${at(lines[''])}[${id}] ${problems.join('; ')}`);
+      continue;
+    }
+
+    const untold = Array.from({ length: holes }, (_, i) => i + 1).filter(hole => !stories[hole]);
+    if (untold.length > 0) {
+      result.warnings.push(`${at(lines[''])}[${id}] no story for hole${untold.length > 1 ? 's' : ''} ${untold.join(', ')}`);
+    }
+
+    result.courses[id] = { id, name, icon: section.icon || '⛳', holes, pars, color, celebration, boss, stories, holeNames };
+  }
+
+  if (Object.keys(result.courses).length === 0 && result.errors.length === 0) {
+    result.errors.push('no courses defined');
+  }
+
+  return result;
+}
+
+/**
+ * Fetch and validate the course manifest
+ * @returns {Promise<void>} Resolves once `courses` and `courseErrors` are populated
+ */
+function loadCourses() {
+  return fetch(COURSE_MANIFEST_URL)
+    .then(res => res.ok ? res.text() : Promise.reject(new Error(`HTTP ${res.status}`)))
+    .then(txt => {
+      applyCourseManifest(txt, true);
+      try {
+        localStorage.setItem(COURSE_CACHE_KEY, txt);
+      } catch (e) {
+        console.warn('Failed to keep an offline copy of the course manifest:', e);
+      }
+    })
+    .catch(err => {
+      // Out of signal: the last manifest this device loaded, else the one the
+      // service worker precached with the app
+      let txt = null;
+      try {
+        txt = localStorage.getItem(COURSE_CACHE_KEY);
+      } catch (e) {
+        console.error('Failed to access localStorage:', e);
+      }
+
+      return (txt ? Promise.resolve(txt) : getPrecachedManifest()).then(offline => {
+        applyCourseManifest(offline || '');
+        // Being offline is expected; a missing file while online is worth flagging
+        const problem = offline
+          ? `could not load ${COURSE_MANIFEST_URL} (${err.message || err}), using an offline copy`
+          : `could not load ${COURSE_MANIFEST_URL} (${err.message || err}) and there is no offline copy`;
+        if (navigator.onLine || !offline) {
+          courseErrors.unshift(problem);
+        } else {
+          console.warn(`Course manifest: ${problem}`);
+        }
+      });
+    })
+    .then(() => {
+      courseErrors.forEach(msg => console.error(`Course manifest: ${msg}`));
+      courseWarnings.forEach(msg => console.warn(`Course manifest: ${msg}`));
+    });
+}
+
+// holes.ini as precached by sw.js, for when it can't be fetched before this
+// device has kept a copy of its own
+function getPrecachedManifest() {
+  if (!window.caches) return Promise.resolve(null);
+
+  return caches.match(COURSE_MANIFEST_URL)
+    .then(res => (res ? res.text() : null))
+    .catch(err => {
+      console.warn('Failed to read the precached course manifest:', err);
+      return null;
+    });
+}
+
+/**
+ * Put a manifest in use, with this device's course edits on top
+ * @param {string} txt - holes.ini contents
+ * @param {boolean} [fresh] - Whether txt was just fetched rather than an offline copy
+ */
+function applyCourseManifest(txt, fresh = false) {
+  courseManifestBase = txt;
+  courseManifestText = txt;
+
+  // Edits stay in use until a different holes.ini is deployed
+  const edits = loadCourseEdits();
+  if (edits && edits.base === txt) {
+    courseManifestText = edits.manifest;
+  } else if (edits && fresh) {
+    showToast('The course files were updated, so the course edits on this device were dropped', 'warning');
+    clearCourseEdits();
+  }
+
+  const manifest = parseCourseManifest(parseINIDocument(courseManifestText));
+  courses = manifest.courses;
+  courseErrors = manifest.errors;
+  courseWarnings = manifest.warnings;
+}
+
+// Course edits saved on the admin screen: { base, manifest }, where base is the
+// holes.ini they were made on and manifest the edited file
+function loadCourseEdits() {
+  try {
+    const edits = JSON.parse(localStorage.getItem(COURSE_EDITS_KEY));
+    return edits && typeof edits.base === 'string' && typeof edits.manifest === 'string' ? edits : null;
+  } catch (e) {
+    console.error('Failed to load course edits:', e);
+    return null;
+  }
+}
+
+function clearCourseEdits() {
+  try {
+    localStorage.removeItem(COURSE_EDITS_KEY);
+  } catch (e) {
+    console.error('Failed to clear course edits:', e);
   }
+}
 
-  return data;
+function getDefaultCourse() {
+  return Object.keys(courses)[0] || null;
 }
 
-// Load hole stories
-fetch('holes.ini')
-  .then(res => res.ok ? res.text() : Promise.reject(res.status))
-  .then(txt => { holeStories = parseINI(txt); })
-  .catch(err => console.warn('Could not load hole stories:', err));
+function getCourseLabel(course) {
+  return isValidCourse(course) ? `${courses[course].icon} ${courses[course].name}` : course;
+}
 
 ////////////////////////////////////////////////////////////////////////////////
-// Scoring Helpers
+// Round Layout
 ////////////////////////////////////////////////////////////////////////////////
-function getScoreDescription(strokes, par) {
-  const diff = strokes - par;
+const NINE = 9;
+
+/**
+ * Round length presets available for a course
+ * @param {string} courseId - Course selected at setup
+ * @returns {Array<{value: string, label: string}>} Options for the round length picker
+ */
+function getRoundPresets(courseId) {
+  const course = courses[courseId];
+  if (!course) return [];
+
+  const presets = [{ value: 'full', label: `All ${course.holes} holes` }];
+
+  if (course.holes >= NINE * 2) {
+    presets.push({ value: 'front', label: `Front 9 (1–${NINE})` });
+    presets.push({ value: 'back', label: `Back 9 (${NINE + 1}–${NINE * 2})` });
+  }
+
+  // Combined rounds continue onto another course
+  for (const other of Object.values(courses)) {
+    if (other.id === courseId) continue;
+    if (other.holes > NINE) {
+      presets.push({
+        value: `front+${other.id}`,
+        label: `${course.holes + NINE} holes – then ${other.name} front 9`
+      });
+    }
+    presets.push({
+      value: `full+${other.id}`,
+      label: `${course.holes + other.holes} holes – then all of ${other.name}`
+    });
+  }
+
+  presets.push({ value: 'custom', label: 'Custom range…' });
+  return presets;
+}
+
+function courseSegment(courseId, from, to) {
+  const holes = [];
+  for (let n = from; n <= to; n++) holes.push({ course: courseId, hole: n });
+  return holes;
+}
+
+/**
+ * Expand a round length preset into the list of holes to play
+ * @param {string} courseId - Course selected at setup
+ * @param {string} preset - Value from getRoundPresets()
+ * @param {number} [from] - First hole for a custom range
+ * @param {number} [to] - Last hole for a custom range
+ * @returns {Array|null} Round holes, or null if the preset doesn't fit the course
+ */
+function buildRoundHoles(courseId, preset, from, to) {
+  const course = courses[courseId];
+  if (!course) return null;
+
+  const [kind, otherId] = preset.split('+');
+  if (otherId !== undefined) {
+    const other = courses[otherId];
+    if (!other || otherId === courseId) return null;
+    const tail = kind === 'front' ? Math.min(NINE, other.holes) : other.holes;
+    return [...courseSegment(courseId, 1, course.holes), ...courseSegment(otherId, 1, tail)];
+  }
+
+  switch (kind) {
+    case 'full':
+      return courseSegment(courseId, 1, course.holes);
+    case 'front':
+      return course.holes >= NINE * 2 ? courseSegment(courseId, 1, NINE) : null;
+    case 'back':
+      return course.holes >= NINE * 2 ? courseSegment(courseId, NINE + 1, NINE * 2) : null;
+    case 'custom':
+      if (!Number.isInteger(from) || !Number.isInteger(to)) return null;
+      if (from < 1 || to > course.holes || from > to) return null;
+      return courseSegment(courseId, from, to);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate round holes against the loaded courses
+ * @param {Array} holes - Round holes to check
+ * @returns {boolean} True if every hole exists
+ */
+function isValidRoundHoles(holes) {
+  return Array.isArray(holes) && holes.length > 0 && holes.every(h =>
+    h && isValidCourse(h.course) && Number.isInteger(h.hole) &&
+    h.hole >= 1 && h.hole <= courses[h.course].holes
+  );
+}
+
+function getHoleCount() {
+  return roundHoles.length;
+}
+
+/**
+ * Look up a hole of the current round
+ * @param {number} idx - Index into the round (0-based)
+ * @returns {{course: Object, hole: number, par: number, story: string|undefined, name: string|undefined}} Hole details
+ */
+function getRoundHole(idx) {
+  const { course, hole } = roundHoles[idx];
+  const def = courses[course];
+  return { course: def, hole, par: def.pars[hole - 1], story: def.stories[hole], name: def.holeNames[hole] };
+}
+
+function getRoundPars(holes = roundHoles) {
+  return holes.map(h => courses[h.course].pars[h.hole - 1]);
+}
 
-  if (strokes === 1) return { text: 'Hole in One! ⭐', class: 'hole-in-one' };
-  if (diff <= -2) return { text: `Eagle! (${diff}) 🦅`, class: 'eagle' };
-  if (diff === -1) return { text: 'Birdie! (−1) 🐦', class: 'birdie' };
-  if (diff === 0) return { text: 'Par ✓', class: 'par' };
-  if (diff === 1) return { text: 'Bogey (+1)', class: 'bogey' };
-  if (diff === 2) return { text: 'Double Bogey (+2)', class: 'double-bogey' };
-  return { text: `+${diff}`, class: 'high-score' };
+function isMultiCourseRound(holes) {
+  return new Set(holes.map(h => h.course)).size > 1;
 }
 
-function getParDifferential(player) {
-  // Validate inputs
-  if (!player || !player.scores) return 'E';
-  if (!isValidCourse(currentCourse)) return 'E';
+/**
+ * Hole label for scorecards; combined rounds prefix the course icon
+ * @param {Array} holes - Round holes ({ course, hole })
+ * @param {number} idx - Index into the round
+ * @returns {string} e.g. "7" or "⚔️ 7"
+ */
+function formatHoleLabel(holes, idx) {
+  const h = holes && holes[idx];
+  if (!h) return String(idx + 1);
+  if (!isMultiCourseRound(holes)) return String(h.hole);
+  return `${courses[h.course]?.icon ?? h.course} ${h.hole}`;
+}
 
-  let parTotal = 0;
-  let holesPlayed = 0;
-  const pars = coursePars[currentCourse];
+function describeRound(holes) {
+  if (!holes || holes.length === 0) return '';
+  const first = holes[0];
+  const last = holes[holes.length - 1];
+  if (isMultiCourseRound(holes)) return `${holes.length} holes`;
+  return `Holes ${first.hole}–${last.hole}`;
+}
 
-  for (let i = 0; i <= currentHole && i < pars.length; i++) {
-    if (player.scores[i] !== null) {
-      parTotal += pars[i];
-      holesPlayed++;
+function renderRoundOptions() {
+  const select = $('roundLength');
+  if (!select) return;
+
+  const previous = select.value;
+  const presets = getRoundPresets(currentCourse);
+  select.innerHTML = presets.map(p =>
+    `<option value="${p.value}">${escapeHtml(p.label)}</option>`
+  ).join('');
+  select.value = presets.some(p => p.value === previous) ? previous : 'full';
+
+  const course = courses[currentCourse];
+  ['rangeFrom', 'rangeTo'].forEach((id, i) => {
+    const input = $(id);
+    if (!input || !course) return;
+    input.max = course.holes;
+    if (!input.value || Number(input.value) > course.holes) {
+      input.value = i === 0 ? 1 : course.holes;
     }
+  });
+
+  updateRoundRangeVisibility();
+}
+
+function updateRoundRangeVisibility() {
+  const select = $('roundLength');
+  const range = $('roundRange');
+  if (select && range) {
+    range.classList.toggle('hidden', select.value !== 'custom');
+  }
+}
+
+// Read the round length chosen at setup
+function getRoundHolesFromSetup() {
+  const select = $('roundLength');
+  const preset = select && select.value ? select.value : 'full';
+  const from = parseInt($('rangeFrom')?.value, 10);
+  const to = parseInt($('rangeTo')?.value, 10);
+  return buildRoundHoles(currentCourse, preset, from, to);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Handicaps
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Suggest a handicap from a player's most recent archived rounds
+ * @param {string} name - Player name (case-insensitive)
+ * @param {Array} [rounds] - Archived rounds, newest first
+ * @returns {number|null} Average strokes over par per 18 holes, or null without history
+ */
+function getHistoryHandicap(name, rounds = loadHistory()) {
+  const key = String(name).trim().toLowerCase();
+  const samples = [];
+
+  for (const round of rounds) {
+    if (round.teams?.mode === 'scramble') continue;
+    const p = round.players.find(rp => String(rp.name).trim().toLowerCase() === key);
+    if (!p) continue;
+
+    let over = 0;
+    let played = 0;
+    getPlayedScores(p).forEach((score, hi) => {
+      if (score === null || round.pars[hi] === undefined) return;
+      over += score - round.pars[hi];
+      played++;
+    });
+
+    if (played > 0) samples.push(over * HANDICAP_BASE_HOLES / played);
+    if (samples.length >= HANDICAP_HISTORY_ROUNDS) break;
   }
 
-  if (holesPlayed === 0) return 'E';
+  if (samples.length === 0) return null;
+
+  const average = samples.reduce((a, b) => a + b, 0) / samples.length;
+  return Math.min(MAX_HANDICAP, Math.max(0, Math.round(average)));
+}
+
+function fillHandicapsFromHistory() {
+  const rounds = loadHistory();
+  let filled = 0;
+
+  document.querySelectorAll('#playerInputs .player-input').forEach(row => {
+    const name = row.querySelector('.player-name').value.trim();
+    const input = row.querySelector('.player-handicap');
+    if (!name || !input) return;
+
+    const handicap = getHistoryHandicap(name, rounds);
+    if (handicap !== null) {
+      input.value = handicap;
+      filled++;
+    }
+  });
+
+  showToast(filled > 0
+    ? `Handicaps set from history for ${filled} player${filled === 1 ? '' : 's'}`
+    : 'No past rounds found for these names', filled > 0 ? 'success' : 'info');
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Max Strokes
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Scores offered for a hole of the current round
+ * @param {number} par - Par of the hole
+ * @returns {Array<{value: number, label: string}>} Options from 1 up to the cap
+ */
+function getScoreOptions(par) {
+  const cap = getStrokeCap(maxStrokes, par);
+  return Array.from({ length: cap ?? MAX_STROKES }, (_, i) => {
+    const value = i + 1;
+    if (value === 1) return { value, label: '1 – Hole in One! ⭐' };
+    return { value, label: value === cap ? `${value} – max, pick up` : String(value) };
+  });
+}
+
+/**
+ * Score for a scorecard cell, marked when the hole was picked up at the cap
+ * @param {Object} round - Round (or team round) the score belongs to
+ * @param {number} hi - Hole index
+ * @param {number|null} score - Gross strokes, checked against the cap
+ * @param {number|null} [shown] - Value to display, e.g. net strokes
+ * @returns {string} HTML
+ */
+function scoreCellHTML(round, hi, score, shown = score) {
+  if (shown === null) return '–';
+  return isCappedScore(round, hi, score)
+    ? `<span class="capped-score" title="Picked up at the max">${shown}▴</span>`
+    : String(shown);
+}
+
+// Key to the ▴ mark, for rounds played with a cap
+function maxStrokesNoteHTML(round) {
+  const rule = round.source?.maxStrokes ?? round.maxStrokes;
+  if (!isValidMaxStrokes(rule) || rule === 'unlimited') return '';
+  return `<p class="max-strokes-note">▴ Picked up – ${maxStrokeRules[rule].label.toLowerCase()}</p>`;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Teams
+////////////////////////////////////////////////////////////////////////////////
+// Team the given player plays for in the current game
+function getPlayerTeam(idx) {
+  return teams ? teams.list.find(team => team.members.includes(idx)) ?? null : null;
+}
+
+/**
+ * Hole-by-hole table of each teammate's strokes next to the team score
+ * @param {Object} teamRound - Output of getTeamRound()
+ * @param {number} index - Team index
+ * @param {number} [current] - Hole index to highlight
+ * @param {boolean} [editable] - Let teammates' scores be corrected
+ * @returns {string} HTML table
+ */
+function teamBreakdownHTML(teamRound, index, current = -1, editable = false) {
+  const round = teamRound.source;
+  const team = teamRound.players[index];
+  const memberIdx = round.teams.list[index].members;
+  const net = round.scoring === 'net' && round.teams.mode !== 'scramble';
+
+  const rows = round.pars.map((par, hi) => `
+    <tr class="${hi === current ? 'current-hole-row' : ''}">
+      <td>${formatHoleLabel(round.holes, hi)}</td>
+      <td>${par}</td>
+      ${team.members.map((m, j) => {
+        const score = net ? getHoleScore(round, m, hi) : m.scores[hi];
+        const counts = round.teams.mode === 'bestball' && score !== null && score === team.scores[hi];
+        const cell = scoreCellHTML(round, hi, m.scores[hi], score);
+        return `<td class="${counts ? 'team-counting' : ''} ${isPlayingHole(m, hi) ? '' : 'missed-hole'}">${editable ? scoreEditHTML([memberIdx[j]], hi, cell) : cell}</td>`;
+      }).join('')}
+      <td><strong>${scoreCellHTML(teamRound, hi, team.scores[hi])}</strong></td>
+    </tr>
+  `).join('');
+
+  return `
+    <table class="scorecard team-breakdown">
+      <thead>
+        <tr>
+          <th>Hole</th><th>Par</th>
+          ${team.members.map(m => `<th>${escapeHtml(m.name)}${net ? ' (net)' : ''}${hasWithdrawn(m) ? ' WD' : ''}</th>`).join('')}
+          <th>Team</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * Team standings with each team expandable to its players
+ * @param {Object} teamRound - Output of getTeamRound()
+ * @param {Object} standings - Standings of the team round
+ * @param {number} [current] - Hole index being played, -1 once the round is over
+ * @param {Set} [open] - Indices (as strings) of teams to render expanded
+ * @returns {string} HTML
+ */
+function teamStandingsHTML(teamRound, standings, current = -1, open = new Set()) {
+  const { mode } = teamRound.source.teams;
+  const format = standings.format === 'stroke' ? '' : ` · ${scoringFormats[standings.format].label}`;
+
+  return `
+    <strong>${teamModes[mode].label}${format}</strong>
+    ${standings.status ? `<span>${escapeHtml(standings.status)}</span>` : ''}
+    ${standings.entries.map(entry => `
+      <details class="team-standing" data-team="${entry.index}" ${open.has(String(entry.index)) ? 'open' : ''}>
+        <summary>
+          <span>#${formatRank(entry)} ${escapeHtml(entry.player.name)}</span>
+          <span>${entry.text}</span>
+        </summary>
+        ${teamBreakdownHTML(teamRound, entry.index, current)}
+      </details>
+    `).join('')}
+  `;
+}
+
+function updateTeamInputsVisibility() {
+  const select = $('teamMode');
+  $('playerInputs')?.classList.toggle('teams', !!select && isValidTeamMode(select.value));
+  updateTeamNameList();
+}
+
+// Offer team names already typed in setup as suggestions for the other rows
+function updateTeamNameList() {
+  const list = $('teamNames');
+  if (!list) return;
 
-  const diff = player.total - parTotal;
-  if (diff === 0) return 'E';
-  return diff > 0 ? `+${diff}` : `${diff}`;
+  const names = new Set(Array.from(document.querySelectorAll('#playerInputs .player-team'))
+    .map(input => input.value.trim())
+    .filter(Boolean));
+  list.innerHTML = [...names].map(name => `<option value="${escapeHtml(name).replace(/"/g, '&quot;')}">`).join('');
 }
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -134,6 +682,7 @@ function attachCourseListeners() {
       btn.classList.add('active');
       btn.setAttribute('aria-pressed', 'true');
       currentCourse = btn.dataset.course;
+      renderRoundOptions();
       saveState();
     });
   });
@@ -143,21 +692,43 @@ function showCourseSelection() {
   const container = document.querySelector('.courses');
   container.innerHTML = '';
 
-  for (const key of Object.keys(courseNames)) {
+  if (!isValidCourse(currentCourse)) {
+    currentCourse = getDefaultCourse();
+  }
+
+  for (const key of Object.keys(courses)) {
     const btn = document.createElement('button');
     btn.className = 'btn' + (key === currentCourse ? ' active' : '');
     btn.dataset.course = key;
     btn.setAttribute('aria-pressed', key === currentCourse);
-    btn.textContent = courseNames[key];
+    btn.textContent = getCourseLabel(key);
     container.appendChild(btn);
   }
 
+  showCourseErrors(container);
   attachCourseListeners();
+  renderRoundOptions();
+}
+
+// Surface manifest problems in the picker so staff notice a broken holes.ini
+function showCourseErrors(container) {
+  if (courseErrors.length === 0) return;
+
+  const box = document.createElement('div');
+  box.className = 'course-errors';
+  box.setAttribute('role', 'alert');
+  box.innerHTML = `
+    <strong>${Object.keys(courses).length === 0 ? 'No quests available' : 'Some quests could not be loaded'}</strong>
+    <ul>${courseErrors.map(msg => `<li>${escapeHtml(msg)}</li>`).join('')}</ul>
+  `;
+  container.appendChild(box);
 }
 
 function showCourseDisplay() {
+  const ids = [...new Set(roundHoles.map(h => h.course))];
+  const label = (ids.length ? ids : [currentCourse]).map(getCourseLabel).join(' + ');
   document.querySelector('.courses').innerHTML =
-    `<div class="course-display">${courseNames[currentCourse]}</div>`;
+    `<div class="course-display">${escapeHtml(label)}</div>`;
 }
 
 ////////////////////////////////////////////////////////////////////////////////
@@ -166,27 +737,43 @@ function showCourseDisplay() {
 function addPlayer() {
   const list = document.getElementById('playerInputs');
   if (list.children.length >= MAX_PLAYERS) {
-    showToast(`Maximum ${MAX_PLAYERS} players allowed`);
+    showToast(`Maximum ${MAX_PLAYERS} players allowed`, 'warning');
     return;
   }
 
-  const n = list.children.length + 1;
-  const div = document.createElement('div');
-  div.className = 'player-input';
-  div.innerHTML = `
-    <input type="text" placeholder="Player ${n} name" aria-label="Name of Player ${n}" maxlength="20" autocomplete="off" autocapitalize="words">
-    <button type="button" onclick="removePlayer(this)" aria-label="Remove player">×</button>
-  `;
-  list.appendChild(div);
+  list.insertAdjacentHTML('beforeend', playerInputHTML(list.children.length + 1));
 
   // Focus the new input
-  div.querySelector('input').focus();
+  list.lastElementChild.querySelector('.player-name').focus();
+}
+
+/**
+ * Markup for one row of the player setup list
+ * @param {number} n - 1-based player number
+ * @param {string} [name] - Prefilled name
+ * @param {number|string} [handicap] - Prefilled handicap
+ * @param {string} [team] - Prefilled team name
+ * @returns {string} HTML for a .player-input row
+ */
+function playerInputHTML(n, name = '', handicap = '', team = '') {
+  const attr = value => escapeHtml(String(value)).replace(/"/g, '&quot;');
+  return `
+    <div class="player-input">
+      <input type="text" class="player-name" placeholder="Player ${n} name" aria-label="Name of Player ${n}"
+             maxlength="20" autocomplete="off" autocapitalize="words" value="${attr(name)}">
+      <input type="number" class="player-handicap" placeholder="HCP" aria-label="Handicap of Player ${n}"
+             min="0" max="${MAX_HANDICAP}" inputmode="numeric" value="${attr(handicap)}">
+      <input type="text" class="player-team" placeholder="Team" aria-label="Team of Player ${n}"
+             maxlength="20" autocomplete="off" list="teamNames" onchange="updateTeamNameList()" value="${attr(team)}">
+      <button type="button" onclick="removePlayer(this)" aria-label="Remove player">×</button>
+    </div>
+  `;
 }
 
 function removePlayer(btn) {
   const list = document.getElementById('playerInputs');
   if (list.children.length <= 1) {
-    showToast('At least one player required');
+    showToast('At least one player required', 'warning');
     return;
   }
   btn.closest('.player-input').remove();
@@ -196,9 +783,11 @@ function removePlayer(btn) {
 function updatePlayerPlaceholders() {
   const inputs = document.querySelectorAll('#playerInputs .player-input');
   inputs.forEach((div, i) => {
-    const input = div.querySelector('input');
+    const input = div.querySelector('.player-name');
     input.placeholder = `Player ${i + 1} name`;
     input.setAttribute('aria-label', `Name of Player ${i + 1}`);
+    div.querySelector('.player-handicap')?.setAttribute('aria-label', `Handicap of Player ${i + 1}`);
+    div.querySelector('.player-team')?.setAttribute('aria-label', `Team of Player ${i + 1}`);
   });
 }
 
@@ -206,31 +795,93 @@ function updatePlayerPlaceholders() {
 // Game Flow
 ////////////////////////////////////////////////////////////////////////////////
 function startGame() {
-  const inputs = document.querySelectorAll('#playerInputs input');
+  const inputs = document.querySelectorAll('#playerInputs .player-input');
 
   if (!inputs || inputs.length === 0) {
-    showToast('Add at least one player');
+    showToast('Add at least one player', 'warning');
+    return;
+  }
+
+  // Validate course before starting
+  if (!isValidCourse(currentCourse)) {
+    showToast('Choose a quest before starting', 'warning');
+    return;
+  }
+
+  const holes = getRoundHolesFromSetup();
+  if (!holes) {
+    showToast(`Choose a hole range between 1 and ${courses[currentCourse].holes}`, 'warning');
+    return;
+  }
+  roundHoles = holes;
+
+  const netToggle = $('netScoring');
+  scoringMode = netToggle && netToggle.checked ? 'net' : 'gross';
+
+  const teamSelect = $('teamMode');
+  const teamMode = teamSelect && isValidTeamMode(teamSelect.value) ? teamSelect.value : null;
+  const teamList = teamMode
+    ? groupTeams(Array.from(inputs).map(row => row.querySelector('.player-team')?.value ?? ''))
+    : null;
+  if (teamList && teamList.length < 2) {
+    showToast('Team play needs at least 2 teams', 'warning');
+    return;
+  }
+  if (teamMode === 'aggregate' && teamList.some(t => t.members.length !== teamList[0].members.length)) {
+    showToast('Aggregate teams need the same number of players', 'warning');
+    return;
+  }
+
+  const formatSelect = $('scoringFormat');
+  const format = formatSelect && isValidFormat(formatSelect.value) ? formatSelect.value : 'stroke';
+  const required = scoringFormats[format].players;
+  const entrants = teamList ? teamList.length : inputs.length;
+  if (required && entrants !== required) {
+    showToast(`${scoringFormats[format].label} needs exactly ${required} ${teamList ? 'teams' : 'players'}`, 'warning');
+    return;
+  }
+  if (format === 'stableford' && teamMode === 'aggregate') {
+    showToast('Stableford points can\'t be scored on aggregate team totals', 'warning');
     return;
   }
 
-  players = Array.from(inputs).map((input, i) => ({
-    name: (input.value.trim() || `Player ${i + 1}`).slice(0, 20),
-    scores: Array(HOLES_COUNT).fill(null),
+  const eventCode = ($('eventCode')?.value ?? '').trim().toUpperCase();
+  if (eventCode && !LIVE_CODE_PATTERN.test(eventCode)) {
+    showToast('Event codes are 4 to 8 letters or digits', 'warning');
+    return;
+  }
+
+  const tiebreakerSelect = $('tiebreaker');
+  const tie = tiebreakerSelect && isValidTiebreaker(tiebreakerSelect.value) ? tiebreakerSelect.value : 'share';
+  if (teamList && tie === 'playoff') {
+    showToast('Sudden-death playoffs are for individual play – pick another tiebreaker', 'warning');
+    return;
+  }
+
+  scoringFormat = format;
+  tiebreaker = tie;
+  const maxStrokesSelect = $('maxStrokes');
+  maxStrokes = maxStrokesSelect && isValidMaxStrokes(maxStrokesSelect.value) ? maxStrokesSelect.value : 'unlimited';
+  teams = teamList ? { mode: teamMode, list: teamList } : null;
+  playoff = null;
+
+  players = Array.from(inputs).map((row, i) => ({
+    name: (row.querySelector('.player-name').value.trim() || `Player ${i + 1}`).slice(0, 20),
+    handicap: parseHandicap(row.querySelector('.player-handicap')?.value),
+    scores: Array(getHoleCount()).fill(null),
     total: 0
   }));
 
   if (players.length === 0) {
-    showToast('Add at least one player');
+    showToast('Add at least one player', 'warning');
     return;
   }
 
-  // Validate course before starting
-  if (!isValidCourse(currentCourse)) {
-    currentCourse = 'dragon';
-  }
-
   gameStarted = true;
   currentHole = 0;
+  strokeCounts = {};
+  scoreLog = [];
+  clearUndo();
 
   showCourseDisplay();
   const playerSetup = $('playerSetup');
@@ -241,6 +892,12 @@ function startGame() {
   // Push initial game state to history for back button support
   history.pushState({ hole: 0, game: true }, '', '#hole1');
 
+  if (eventCode) {
+    joinLiveEvent(eventCode);
+  } else {
+    leaveLiveEvent();
+  }
+
   renderHole();
   updateMobileButtons();
   saveState();
@@ -250,23 +907,35 @@ function renderHole() {
   // Validate course before rendering
   if (!isValidCourse(currentCourse)) {
     console.error(`Invalid course: ${currentCourse}`);
-    currentCourse = 'dragon'; // Fallback to default
+    return;
+  }
+
+  if (playoff) {
+    renderPlayoffHole();
+    return;
   }
 
   // Validate hole number
-  if (currentHole < 0 || currentHole >= HOLES_COUNT) {
+  if (currentHole < 0 || currentHole >= roundHoles.length) {
     console.error(`Invalid hole number: ${currentHole}`);
     currentHole = 0; // Fallback to first hole
   }
 
+  const { course, hole, par, story: holeStory, name } = getRoundHole(currentHole);
+
   // Update hole number (with null check)
   const holeNumberEl = $('holeNumber');
   if (holeNumberEl) {
-    holeNumberEl.textContent = `Hole ${currentHole + 1}`;
+    holeNumberEl.textContent = `Hole ${hole}`;
+  }
+  const holeNameEl = $('holeName');
+  if (holeNameEl) {
+    holeNameEl.textContent = name || '';
+    holeNameEl.classList.toggle('hidden', !name);
   }
 
   // Update story
-  const story = holeStories[currentCourse]?.[String(currentHole + 1)] || 'Your quest continues...';
+  const story = holeStory || 'Your quest continues...';
   const storyEl = $('holeStory');
   if (storyEl) {
     storyEl.textContent = story;
@@ -276,20 +945,23 @@ function renderHole() {
   }
 
   // Update progress info
-  const par = coursePars[currentCourse][currentHole];
   const holeProgressEl = $('holeProgress');
   if (holeProgressEl) {
     holeProgressEl.textContent =
-      `${courseNames[currentCourse].replace(/[🐉⚔️]/g, '').trim()} – Hole ${currentHole + 1} (Par ${par})`;
+      `${course.name} – Hole ${hole} (Par ${par}) · ${currentHole + 1} of ${roundHoles.length}`;
   }
 
   // Update progress bar
-  const progress = ((currentHole + 1) / HOLES_COUNT) * 100;
+  const progress = ((currentHole + 1) / roundHoles.length) * 100;
   const progressFillEl = $('progressFill');
   if (progressFillEl) {
     progressFillEl.style.width = `${progress}%`;
+    progressFillEl.parentElement.setAttribute('aria-valuemax', roundHoles.length);
+    progressFillEl.parentElement.setAttribute('aria-valuenow', currentHole + 1);
   }
 
+  renderHoleNav();
+
   // Render player cards
   const grid = $('playersGrid');
   if (!grid) {
@@ -298,32 +970,87 @@ function renderHole() {
   }
   grid.innerHTML = '';
 
+  // Format standings (match status, skins carried, points) for the cards;
+  // in team play the format is played between the teams
+  const ranked = getRankedRound(getCurrentRound());
+  const standings = scoringFormat === 'stroke' ? null : getStandings(ranked);
+  const formatStatusEl = $('formatStatus');
+  if (formatStatusEl) {
+    const carried = scoringFormat === 'skins' && standings.detail.carry > 0 && !isHoleComplete(ranked, currentHole)
+      ? `Skins: ${standings.detail.carry + 1} up for grabs on this hole`
+      : standings?.status;
+    const leaders = standings ? standings.entries.filter(e => e.rank === 1) : [];
+    const leaderText = leaders.length === 1
+      ? `${leaders[0].player.name} leads with ${leaders[0].text}`
+      : `Level at ${leaders[0]?.text ?? '0'}`;
+    formatStatusEl.textContent = standings ? `${scoringFormats[scoringFormat].label} · ${carried || leaderText}` : '';
+    formatStatusEl.classList.toggle('hidden', !standings);
+  }
+
+  renderTeamStandings(ranked);
+
+  const descriptionHTML = strokes => {
+    if (strokes === null) return '';
+    const desc = getScoreDescription(strokes, par);
+    return `<div class="score-description ${desc.class}">${desc.text}</div>`;
+  };
+
+  // Scramble teams hit one ball, so each team gets one card
+  if (teams?.mode === 'scramble') {
+    ranked.players.forEach((team, t) => {
+      const card = document.createElement('div');
+      card.className = 'player-card team-card';
+      setScoreCardTarget(card, 'team', t, team.name);
+      card.innerHTML = `
+        <label><span>${escapeHtml(team.name)}</span></label>
+        <div class="team-members">${team.members.map(m => escapeHtml(m.name)).join(', ')}</div>
+        ${scoreEntryHTML('team', t, `Strokes for ${team.name}`)}
+        ${descriptionHTML(team.scores[currentHole])}
+        <div class="player-total">
+          <span>Total: ${team.total}</span>
+          <span class="par-info">${getParDifferential(ranked, team)}</span>
+        </div>
+        ${formatStandingHTML(standings, t)}
+      `;
+      grid.appendChild(card);
+    });
+
+    updateMobileButtons();
+    return;
+  }
+
   players.forEach((player, idx) => {
+    // Late players and withdrawn ones are only on the scorecards for holes they missed
+    if (!isPlayingHole(player, currentHole)) return;
+
     const card = document.createElement('div');
     card.className = 'player-card';
+    setScoreCardTarget(card, 'player', idx, player.name);
 
-    const options = scoreOptions.map(opt => {
-      const selected = player.scores[currentHole] === opt.value ? 'selected' : '';
-      return `<option value="${opt.value}" ${selected}>${opt.label}</option>`;
-    }).join('');
-
-    let descHTML = '';
-    if (player.scores[currentHole] !== null) {
-      const desc = getScoreDescription(player.scores[currentHole], par);
-      descHTML = `<div class="score-description ${desc.class}">${desc.text}</div>`;
-    }
+    const net = scoringMode === 'net';
+    const netHTML = net ? `
+      <div class="player-total net">
+        <span>Net: ${getNetTotal(player)}</span>
+        <span class="par-info">${game.getParDifferential(idx, true)}</span>
+      </div>
+    ` : '';
+    const team = getPlayerTeam(idx);
 
     card.innerHTML = `
-      <label>${escapeHtml(player.name)}</label>
-      <select onchange="updateScore(${idx}, this.value)" aria-label="Strokes for ${escapeHtml(player.name)}">
-        <option value="">Select strokes</option>
-        ${options}
-      </select>
-      ${descHTML}
+      <label>
+        <span>${escapeHtml(player.name)}</span>
+        ${team ? `<span class="team-badge">${escapeHtml(team.name)}</span>` : ''}
+        ${net && player.handicap ? `<span class="handicap-badge">HCP ${player.handicap}</span>` : ''}
+      </label>
+      ${rosterNoteHTML(roundHoles, player, !teams)}
+      ${scoreEntryHTML('player', idx, `Strokes for ${player.name}`)}
+      ${descriptionHTML(player.scores[currentHole])}
       <div class="player-total">
         <span>Total: ${player.total}</span>
-        <span class="par-info">${getParDifferential(player)}</span>
+        <span class="par-info">${game.getParDifferential(idx)}</span>
       </div>
+      ${netHTML}
+      ${teams ? '' : formatStandingHTML(standings, idx)}
     `;
 
     grid.appendChild(card);
@@ -332,6 +1059,35 @@ function renderHole() {
   updateMobileButtons();
 }
 
+// Rank and format value on an in-play player card
+function formatStandingHTML(standings, idx) {
+  if (!standings) return '';
+  const entry = standings.entries.find(e => e.index === idx);
+  if (!entry) return `<div class="format-standing"><span>${standings.format === 'match' ? 'Not in match' : 'Not ranked'}</span></div>`;
+  return `
+    <div class="format-standing">
+      <span>#${formatRank(entry)}</span>
+      <span>${entry.text}</span>
+    </div>
+  `;
+}
+
+// Team standings above the cards; expanded teams stay open between renders
+function renderTeamStandings(ranked) {
+  const panel = $('teamStandings');
+  if (!panel) return;
+
+  if (!teams) {
+    panel.innerHTML = '';
+    panel.classList.add('hidden');
+    return;
+  }
+
+  const open = new Set(Array.from(panel.querySelectorAll('details[open]')).map(d => d.dataset.team));
+  panel.innerHTML = teamStandingsHTML(ranked, getStandings(ranked), currentHole, open);
+  panel.classList.remove('hidden');
+}
+
 function updateScore(playerIdx, value) {
   const strokes = parseInt(value, 10);
   if (isNaN(strokes)) return;
@@ -349,501 +1105,4925 @@ function updateScore(playerIdx, value) {
     console.error(`Invalid course: ${currentCourse}`);
     return;
   }
-
-  players[playerIdx].scores[currentHole] = strokes;
-  players[playerIdx].total = players[playerIdx].scores
-    .filter(s => s !== null)
-    .reduce((sum, s) => sum + s, 0);
-
-  renderHole();
-  saveState();
-
-  // Check for special scores
-  const par = coursePars[currentCourse][currentHole];
-  if (strokes === 1) {
-    celebrateScore('hole-in-one');
-  } else if (strokes - par <= -2) {
-    celebrateScore('eagle');
+  if (strokes > getMaxStrokes()) {
+    console.error(`Score over the max strokes for this hole: ${strokes}`);
+    return;
   }
-}
+  delete strokeCounts[strokeCountKey('player', playerIdx)];
 
-function celebrateScore(type) {
-  // Add haptic feedback if available
-  if (navigator.vibrate) {
-    navigator.vibrate(type === 'hole-in-one' ? [100, 50, 100, 50, 100] : [50, 30, 50]);
+  if (playoff) {
+    const current = getPlayoffHole();
+    if (!current.contenders.includes(playerIdx)) return;
+    current.scores[playerIdx] = strokes;
+    renderHole();
+    saveState();
+    return;
   }
+
+  const earned = getEarnedAchievementKeys();
+  if (recordScore(playerIdx, strokes)) celebrateHole(strokes, earned);
+}
+
+// Scramble: the team's score is recorded for every teammate
+function updateTeamScore(teamIdx, value) {
+  const strokes = parseInt(value, 10);
+  if (isNaN(strokes)) return;
+
+  const team = teams?.list[teamIdx];
+  if (!team) {
+    console.error(`Invalid team index: ${teamIdx}`);
+    return;
+  }
+  if (!isValidScore(strokes)) {
+    console.error(`Invalid score value: ${strokes}`);
+    return;
+  }
+  if (strokes > getMaxStrokes()) {
+    console.error(`Score over the max strokes for this hole: ${strokes}`);
+    return;
+  }
+  delete strokeCounts[strokeCountKey('team', teamIdx)];
+
+  const earned = getEarnedAchievementKeys();
+  const scorers = team.members.filter(idx => isPlayingHole(players[idx], currentHole));
+  if (recordScore(scorers, strokes)) celebrateHole(strokes, earned);
+}
+
+/**
+ * Score a hole through the engine; its listeners redraw, save and update the
+ * live board
+ * @param {number|number[]} playerIdx - Player index, or a scramble team's members
+ * @param {number|null} strokes - Strokes on the hole, or null to clear it
+ * @param {number} [hi] - Hole index, when correcting a hole from the scorecards
+ * @returns {boolean} Whether the score was recorded
+ */
+function recordScore(playerIdx, strokes, hi = currentHole) {
+  const indices = [].concat(playerIdx);
+  const before = indices.map(idx => players[idx].scores[hi]);
+
+  indices.forEach(idx => stampLiveScore(idx, hi));
+  if (!game.setScore(indices, hi, strokes)) {
+    console.error(`Score not recorded: ${strokes} on hole ${hi + 1}`);
+    return false;
+  }
+
+  // Corrections after the round has ended go straight into the history
+  if (gameStarted && before.some(s => s !== strokes)) {
+    const step = { type: 'score', players: indices, hole: hi, before, after: strokes };
+    pushUndo(step);
+    showSnackbar(describeScoreStep(step), 'undo');
+  }
+  return true;
+}
+
+// Check for special scores on the current hole and announce new achievements
+function celebrateHole(strokes, earnedBefore) {
+  const { par } = getRoundHole(currentHole);
+  if (strokes === 1) {
+    celebrateScore('hole-in-one');
+  } else if (strokes - par <= -2) {
+    celebrateScore('eagle');
+  }
+
+  getUnlockedAchievements(earnedBefore).forEach(showAchievementToast);
+}
+
+function celebrateScore(type) {
+  // Add haptic feedback if available
+  if (navigator.vibrate) {
+    navigator.vibrate(type === 'hole-in-one' ? [100, 50, 100, 50, 100] : [50, 30, 50]);
+  }
+
+  playCelebration(type);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Score Entry
+////////////////////////////////////////////////////////////////////////////////
+// How strokes are entered on the hole cards. The choice belongs to the device,
+// not the round, so it is remembered separately from the game state.
+const entryModes = {
+  select: { icon: '▾', label: 'List' },
+  pads: { icon: '🔢', label: 'Pads' },
+  counter: { icon: '➕', label: 'Counter' }
+};
+
+// Strokes counted so far on holes being played in counter mode, by strokeCountKey()
+let strokeCounts = {};
+
+function getEntryMode() {
+  try {
+    const mode = localStorage.getItem(ENTRY_MODE_KEY);
+    return entryModes[mode] ? mode : 'select';
+  } catch (e) {
+    return 'select';
+  }
+}
+
+function setEntryMode(mode) {
+  if (!entryModes[mode]) return;
+  try {
+    localStorage.setItem(ENTRY_MODE_KEY, mode);
+  } catch (e) {
+    console.error('Failed to save entry mode:', e);
+  }
+  renderEntryModeSwitch();
+  if (gameStarted) renderHole();
+}
+
+function renderEntryModeSwitch() {
+  const el = $('entryModeSwitch');
+  if (!el) return;
+
+  const current = getEntryMode();
+  el.innerHTML = Object.entries(entryModes).map(([mode, { icon, label }]) => `
+    <button type="button" class="${mode === current ? 'active' : ''}" aria-pressed="${mode === current}"
+      onclick="setEntryMode('${mode}')">${icon} ${label}</button>
+  `).join('');
+}
+
+// Mark a hole card as the score target for number keys
+function setScoreCardTarget(card, kind, index, name) {
+  card.dataset.kind = kind;
+  card.dataset.index = index;
+  card.tabIndex = 0;
+  card.setAttribute('role', 'group');
+  card.setAttribute('aria-label', name);
+}
+
+function getEntryPar() {
+  if (!playoff) return getRoundHole(currentHole).par;
+  const { course, hole } = getPlayoffHole();
+  return courses[course].pars[hole - 1];
+}
+
+// Most strokes that can be entered on the hole being played
+function getMaxStrokes() {
+  return getStrokeCap(maxStrokes, getEntryPar()) ?? MAX_STROKES;
+}
+
+// Strokes already recorded for a card on the hole being played
+function getEntryStrokes(kind, index) {
+  if (kind === 'team') return getTeamHoleScore(getCurrentRound(), teams.list[index], currentHole);
+  if (playoff) return getPlayoffHole().scores[index] ?? null;
+  return players[index].scores[currentHole];
+}
+
+function strokeCountKey(kind, index) {
+  const hole = playoff ? `playoff${playoff.holes.length}` : currentHole;
+  return `${hole}:${kind}${index}`;
+}
+
+/**
+ * Score input for a hole card in the chosen entry mode
+ * @param {string} kind - 'player', or 'team' for a scramble team
+ * @param {number} index - Player or team index
+ * @param {string} label - Accessible name of the input
+ * @returns {string} HTML
+ */
+function scoreEntryHTML(kind, index, label) {
+  const strokes = getEntryStrokes(kind, index);
+  const update = kind === 'team' ? 'updateTeamScore' : 'updateScore';
+  const scoreOptions = getScoreOptions(getEntryPar());
+
+  switch (getEntryMode()) {
+    case 'pads': {
+      const padHTML = opt => `
+        <button type="button" class="score-pad-btn ${strokes === opt.value ? 'selected' : ''}"
+          aria-pressed="${strokes === opt.value}" onclick="${update}(${index}, ${opt.value})">${opt.label.split(' ')[0]}</button>
+      `;
+      const more = scoreOptions.filter(opt => opt.value > QUICK_PAD_STROKES);
+      const expanded = strokes > QUICK_PAD_STROKES;
+      return `
+        <div class="score-pad ${expanded ? 'expanded' : ''}" role="group" aria-label="${escapeHtml(label)}">
+          ${scoreOptions.filter(opt => opt.value <= QUICK_PAD_STROKES).map(padHTML).join('')}
+          ${more.length ? `
+            <button type="button" class="score-pad-btn more" aria-expanded="${expanded}"
+              onclick="toggleMorePads(this)">More</button>
+            <div class="score-pad-more">${more.map(padHTML).join('')}</div>
+          ` : ''}
+        </div>
+      `;
+    }
+    case 'counter':
+      return strokeCounterHTML(kind, index, label);
+    default:
+      return `
+        <select onchange="${update}(${index}, this.value)" aria-label="${escapeHtml(label)}">
+          <option value="">Select strokes</option>
+          ${scoreOptions.map(opt =>
+            `<option value="${opt.value}" ${strokes === opt.value ? 'selected' : ''}>${opt.label}</option>`
+          ).join('')}
+        </select>
+      `;
+  }
+}
+
+function toggleMorePads(button) {
+  const expanded = button.closest('.score-pad').classList.toggle('expanded');
+  button.setAttribute('aria-expanded', String(expanded));
+}
+
+// Counter mode: tap +1 after every stroke while playing, then "Holed" records it
+function strokeCounterHTML(kind, index, label) {
+  const counted = strokeCounts[strokeCountKey(kind, index)];
+  const count = counted ?? getEntryStrokes(kind, index) ?? 0;
+  const max = getMaxStrokes();
+
+  return `
+    <div class="stroke-counter ${counted === undefined && count ? 'recorded' : ''}" role="group" aria-label="${escapeHtml(label)}">
+      <button type="button" class="counter-btn" data-counter="remove" aria-label="Take back a stroke"
+        onclick="countStroke('${kind}', ${index}, -1)" ${count > 0 ? '' : 'disabled'}>−</button>
+      <output class="stroke-count" aria-live="polite">${escapeHtml(count)}</output>
+      <button type="button" class="counter-btn add" data-counter="add"
+        onclick="countStroke('${kind}', ${index}, 1)" ${count < max ? '' : 'disabled'}>+1</button>
+      <button type="button" class="counter-btn holed" data-counter="holed"
+        onclick="commitStrokeCount('${kind}', ${index})" ${counted > 0 ? '' : 'disabled'}>⛳ Holed</button>
+    </div>
+  `;
+}
+
+// Counting again on a recorded hole carries on from the recorded score
+function countStroke(kind, index, step) {
+  const key = strokeCountKey(kind, index);
+  const count = (strokeCounts[key] ?? getEntryStrokes(kind, index) ?? 0) + step;
+  strokeCounts[key] = Math.min(Math.max(count, 0), getMaxStrokes());
+
+  const card = $$(`.player-card[data-kind="${kind}"][data-index="${index}"]`);
+  const counter = card?.querySelector('.stroke-counter');
+  if (!counter) return;
+
+  // Redraw just the counter so an expanded story or an open "More" stays put
+  const focused = document.activeElement?.dataset.counter;
+  counter.outerHTML = strokeCounterHTML(kind, index, counter.getAttribute('aria-label'));
+  if (focused) (card.querySelector(`[data-counter="${focused}"]:not(:disabled)`) || card).focus();
+}
+
+function commitStrokeCount(kind, index) {
+  const count = strokeCounts[strokeCountKey(kind, index)];
+  if (!count) return;
+  if (kind === 'team') {
+    updateTeamScore(index, count);
+  } else {
+    updateScore(index, count);
+  }
+}
+
+// Number keys score the focused card: 1-9, and 0 for 10. Focus then moves on to
+// the next card so a group can be scored as a row of digits.
+function handleScoreKey(e) {
+  if (e.ctrlKey || e.metaKey || e.altKey || !/^[0-9]$/.test(e.key)) return false;
+  const active = document.activeElement;
+  // A focused list picks its own option as the digit is typed
+  if (active?.matches('input, select, textarea') || document.querySelector('.modal.active')) return false;
+
+  const card = active?.closest('#playersGrid .player-card[data-index]');
+  const strokes = e.key === '0' ? 10 : Number(e.key);
+  if (!card || strokes > getMaxStrokes()) return false;
+
+  e.preventDefault();
+  const { kind } = card.dataset;
+  const index = Number(card.dataset.index);
+  const cards = Array.from(document.querySelectorAll('#playersGrid .player-card[data-index]'));
+  const position = cards.indexOf(card);
+
+  if (kind === 'team') {
+    updateTeamScore(index, strokes);
+  } else {
+    updateScore(index, strokes);
+  }
+
+  const next = document.querySelectorAll('#playersGrid .player-card[data-index]');
+  (next[position + 1] || next[position])?.focus();
+  return true;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Celebrations
+////////////////////////////////////////////////////////////////////////////////
+// Holes in one and eagles get a particle burst and a sound in the course's theme
+// (celebration = ... in holes.ini). Sounds are synthesized with Web Audio, so
+// nothing is downloaded. Motion is skipped when the player prefers reduced
+// motion; sound follows the mute button, which is remembered between visits.
+const celebrationThemes = {
+  sparkle: { label: 'Sparkles', burst: sparkleBurst, sound: playChime },
+  fire: { label: 'Dragon fire', burst: fireBurst, sound: playRoar },
+  swords: { label: 'Sword clash', burst: swordBurst, sound: playClang }
+};
+
+let celebration = null; // particle effect on screen, see startParticles()
+let audioContext = null;
+
+function prefersReducedMotion() {
+  return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false;
+}
+
+function getCelebrationTheme() {
+  const { course } = getRoundHole(currentHole);
+  return celebrationThemes[course.celebration] || celebrationThemes.sparkle;
+}
+
+/**
+ * Themed effect and sound for a great score
+ * @param {string} type - 'hole-in-one' or 'eagle'; a hole in one gets a bigger show
+ */
+function playCelebration(type) {
+  const theme = getCelebrationTheme();
+  const strength = type === 'hole-in-one' ? 2 : 1;
+
+  if (!prefersReducedMotion()) startParticles(theme, strength);
+  if (isSoundOn()) {
+    const ac = getAudioContext();
+    if (ac) theme.sound(ac, strength);
+  }
+}
+
+function random(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+function pick(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+function startParticles(theme, strength) {
+  const canvas = $('celebrationCanvas');
+  const ctx = canvas?.getContext?.('2d');
+  if (!ctx) return;
+
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = window.innerWidth * dpr;
+  canvas.height = window.innerHeight * dpr;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+  if (celebration) cancelAnimationFrame(celebration.frame);
+  celebration = {
+    ctx,
+    width: window.innerWidth,
+    height: window.innerHeight,
+    strength,
+    start: performance.now(),
+    last: performance.now(),
+    duration: CELEBRATION_MS,
+    particles: [],
+    emit: null, // (effect, t) adds particles while the effect runs
+    overlay: null, // (effect, t) draws shapes under the particles
+    frame: null
+  };
+  theme.burst(celebration);
+
+  canvas.classList.add('active');
+  celebration.frame = requestAnimationFrame(stepParticles);
+}
+
+function stepParticles(now) {
+  const effect = celebration;
+  if (!effect) return;
+
+  const t = now - effect.start;
+  const dt = Math.min((now - effect.last) / 16.7, 3); // in 60 fps frames
+  effect.last = now;
+
+  const { ctx } = effect;
+  ctx.clearRect(0, 0, effect.width, effect.height);
+  if (t < effect.duration) effect.emit?.(effect, t);
+  effect.overlay?.(effect, t);
+
+  effect.particles = effect.particles.filter(p => {
+    p.age += dt * 16.7;
+    if (p.age >= p.life) return false;
+
+    p.vy += p.gravity * dt;
+    p.vx *= Math.pow(p.drag, dt);
+    p.vy *= Math.pow(p.drag, dt);
+    p.x += p.vx * dt;
+    p.y += p.vy * dt;
+    p.spin += p.turn * dt;
+
+    const fade = 1 - p.age / p.life;
+    ctx.globalAlpha = fade;
+    ctx.globalCompositeOperation = p.glow ? 'lighter' : 'source-over';
+    ctx.fillStyle = p.color;
+    ctx.strokeStyle = p.color;
+
+    if (p.shape === 'spark') {
+      ctx.lineWidth = p.size;
+      ctx.beginPath();
+      ctx.moveTo(p.x, p.y);
+      ctx.lineTo(p.x - p.vx * 2.5, p.y - p.vy * 2.5);
+      ctx.stroke();
+    } else if (p.shape === 'rect') {
+      ctx.save();
+      ctx.translate(p.x, p.y);
+      ctx.rotate(p.spin);
+      ctx.fillRect(-p.size / 2, -p.size / 4, p.size, p.size / 2);
+      ctx.restore();
+    } else {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, Math.max(p.size * (p.shrink ? fade : 1), 0.5), 0, Math.PI * 2);
+      ctx.fill();
+    }
+    return true;
+  });
+  ctx.globalAlpha = 1;
+  ctx.globalCompositeOperation = 'source-over';
+
+  if (t < effect.duration || effect.particles.length > 0) {
+    effect.frame = requestAnimationFrame(stepParticles);
+  } else {
+    ctx.clearRect(0, 0, effect.width, effect.height);
+    $('celebrationCanvas')?.classList.remove('active');
+    celebration = null;
+  }
+}
+
+function addParticle(effect, particle) {
+  effect.particles.push({
+    vx: 0, vy: 0, gravity: 0, drag: 1, size: 4, spin: 0, turn: 0, age: 0,
+    shape: 'circle', glow: false, shrink: false, ...particle
+  });
+}
+
+// Confetti in the course colour bursting from the hole card
+function sparkleBurst(effect) {
+  const { course } = getRoundHole(currentHole);
+  const colors = [course.color || DEFAULT_COURSE_COLOR, '#fbbf24', '#f8fafc', '#a78bfa', '#34d399'];
+
+  for (let i = 0; i < 70 * effect.strength; i++) {
+    const angle = random(0, Math.PI * 2);
+    const speed = random(4, 11);
+    addParticle(effect, {
+      x: effect.width / 2,
+      y: effect.height * 0.35,
+      vx: Math.cos(angle) * speed,
+      vy: Math.sin(angle) * speed - 3,
+      gravity: 0.18,
+      drag: 0.98,
+      size: random(6, 11),
+      turn: random(-0.3, 0.3),
+      shape: 'rect',
+      color: pick(colors),
+      life: random(1400, 2400)
+    });
+  }
+  effect.duration = 0;
+}
+
+// Flames roaring up from the bottom of the screen
+function fireBurst(effect) {
+  const colors = ['#fef08a', '#fbbf24', '#f97316', '#ef4444', '#b91c1c'];
+  const rate = 4 * effect.strength;
+  effect.duration = 500 * effect.strength;
+
+  effect.emit = (fx) => {
+    for (let i = 0; i < rate; i++) {
+      addParticle(fx, {
+        x: fx.width / 2 + random(-1, 1) * fx.width * 0.3,
+        y: fx.height + 10,
+        vx: random(-1.5, 1.5),
+        vy: random(-14, -7),
+        gravity: 0.12,
+        drag: 0.985,
+        size: random(8, 20),
+        shrink: true,
+        glow: true,
+        color: pick(colors),
+        life: random(700, 1300)
+      });
+    }
+  };
+}
+
+// Two swords swing in and clash in a shower of sparks
+function swordBurst(effect) {
+  const SWING_MS = 350;
+  const HOLD_MS = 900;
+  let clashed = false;
+  effect.duration = SWING_MS + HOLD_MS;
+
+  effect.overlay = (fx, t) => {
+    const cx = fx.width / 2;
+    const cy = fx.height * 0.4;
+    const length = Math.min(fx.width, fx.height) * 0.35;
+    const swing = Math.min(t / SWING_MS, 1);
+    const ease = 1 - Math.pow(1 - swing, 3);
+    const alpha = t < SWING_MS + HOLD_MS ? 1 : Math.max(0, 1 - (t - SWING_MS - HOLD_MS) / 300);
+    if (alpha <= 0) return;
+
+    // Each sword turns about its hilt until the blades cross above the centre
+    drawSword(fx.ctx, cx - length * 0.55, cy + length * 0.55, -Math.PI * 0.95 + ease * Math.PI * 0.7, length, alpha);
+    drawSword(fx.ctx, cx + length * 0.55, cy + length * 0.55, -Math.PI * 0.05 - ease * Math.PI * 0.7, length, alpha);
+
+    if (swing === 1 && !clashed) {
+      clashed = true;
+      for (let i = 0; i < 50 * fx.strength; i++) {
+        const angle = random(0, Math.PI * 2);
+        const speed = random(4, 13);
+        addParticle(fx, {
+          x: cx,
+          y: cy,
+          vx: Math.cos(angle) * speed,
+          vy: Math.sin(angle) * speed,
+          gravity: 0.3,
+          drag: 0.97,
+          size: random(1.5, 3),
+          shape: 'spark',
+          glow: true,
+          color: pick(['#ffffff', '#fde68a', '#fbbf24', '#bfdbfe']),
+          life: random(450, 900)
+        });
+      }
+    }
+
+    // Flash of the clash
+    if (swing === 1 && t < SWING_MS + 250) {
+      const flash = 1 - (t - SWING_MS) / 250;
+      fx.ctx.globalAlpha = flash * 0.8;
+      fx.ctx.fillStyle = '#fef9c3';
+      fx.ctx.beginPath();
+      fx.ctx.arc(cx, cy, length * 0.25 * (2 - flash), 0, Math.PI * 2);
+      fx.ctx.fill();
+      fx.ctx.globalAlpha = 1;
+    }
+  };
+}
+
+function drawSword(ctx, x, y, angle, length, alpha) {
+  ctx.save();
+  ctx.globalAlpha = alpha;
+  ctx.translate(x, y);
+  ctx.rotate(angle);
+  ctx.lineCap = 'round';
+
+  ctx.strokeStyle = '#78350f'; // grip
+  ctx.lineWidth = 8;
+  ctx.beginPath();
+  ctx.moveTo(-length * 0.18, 0);
+  ctx.lineTo(0, 0);
+  ctx.stroke();
+
+  ctx.strokeStyle = '#fbbf24'; // cross guard
+  ctx.lineWidth = 7;
+  ctx.beginPath();
+  ctx.moveTo(0, -length * 0.1);
+  ctx.lineTo(0, length * 0.1);
+  ctx.stroke();
+
+  ctx.strokeStyle = '#e2e8f0'; // blade
+  ctx.lineWidth = 6;
+  ctx.beginPath();
+  ctx.moveTo(0, 0);
+  ctx.lineTo(length, 0);
+  ctx.stroke();
+
+  ctx.restore();
+}
+
+function getAudioContext() {
+  const AudioCtor = window.AudioContext || window.webkitAudioContext;
+  if (!AudioCtor) return null;
+
+  try {
+    audioContext ||= new AudioCtor();
+    // Browsers start audio suspended until a tap; entering a score is one
+    if (audioContext.state === 'suspended') audioContext.resume();
+    return audioContext;
+  } catch (e) {
+    console.warn('Web Audio unavailable:', e);
+    return null;
+  }
+}
+
+// One enveloped oscillator note, times in seconds from now
+function playTone(ac, { type = 'sine', freq, endFreq = freq, at = 0, duration, volume = 0.2 }) {
+  const start = ac.currentTime + at;
+  const osc = ac.createOscillator();
+  const gain = ac.createGain();
+
+  osc.type = type;
+  osc.frequency.setValueAtTime(freq, start);
+  if (endFreq !== freq) osc.frequency.exponentialRampToValueAtTime(endFreq, start + duration);
+  gain.gain.setValueAtTime(0.0001, start);
+  gain.gain.exponentialRampToValueAtTime(volume, start + 0.01);
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+  osc.connect(gain).connect(ac.destination);
+  osc.start(start);
+  osc.stop(start + duration + 0.05);
+}
+
+// Filtered white noise: whooshes, roars and the scrape of steel
+function playNoise(ac, { filter = 'lowpass', freq, endFreq = freq, at = 0, duration, volume = 0.2, attack = 0.01 }) {
+  const start = ac.currentTime + at;
+  const buffer = ac.createBuffer(1, Math.ceil(ac.sampleRate * duration), ac.sampleRate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+
+  const source = ac.createBufferSource();
+  const band = ac.createBiquadFilter();
+  const gain = ac.createGain();
+
+  source.buffer = buffer;
+  band.type = filter;
+  band.frequency.setValueAtTime(freq, start);
+  if (endFreq !== freq) band.frequency.exponentialRampToValueAtTime(endFreq, start + duration);
+  gain.gain.setValueAtTime(0.0001, start);
+  gain.gain.exponentialRampToValueAtTime(volume, start + attack);
+  gain.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+  source.connect(band).connect(gain).connect(ac.destination);
+  source.start(start);
+}
+
+// Rising arpeggio, an octave higher again for a hole in one
+function playChime(ac, strength) {
+  const notes = [1046.5, 1318.5, 1568, 2093];
+  for (let round = 0; round < strength; round++) {
+    notes.forEach((freq, i) => playTone(ac, {
+      freq: freq * (round + 1),
+      at: (round * notes.length + i) * 0.09,
+      duration: 0.5,
+      volume: 0.12
+    }));
+  }
+}
+
+// A dragon's breath: a swelling roar of low noise over a growl
+function playRoar(ac, strength) {
+  const duration = 0.9 + 0.5 * strength;
+  playNoise(ac, { freq: 300, endFreq: 1400, duration, volume: 0.35, attack: 0.25 });
+  playTone(ac, { type: 'sawtooth', freq: 90, endFreq: 45, duration, volume: 0.06 });
+}
+
+// Steel on steel: a click and a cluster of inharmonic ringing partials
+function playClang(ac, strength) {
+  for (let hit = 0; hit < strength; hit++) {
+    const at = hit * 0.3;
+    playNoise(ac, { filter: 'highpass', freq: 3000, at, duration: 0.05, volume: 0.3, attack: 0.002 });
+    [523, 1187, 1871, 2693, 3637].forEach((freq, i) => playTone(ac, {
+      type: i === 0 ? 'triangle' : 'sine',
+      freq: freq * (hit ? 1.06 : 1),
+      at,
+      duration: 0.9 - i * 0.12,
+      volume: 0.08
+    }));
+  }
+}
+
+function isSoundOn() {
+  try {
+    return localStorage.getItem(SOUND_KEY) !== 'off';
+  } catch (e) {
+    return true;
+  }
+}
+
+function toggleSound() {
+  const on = !isSoundOn();
+  try {
+    localStorage.setItem(SOUND_KEY, on ? 'on' : 'off');
+  } catch (e) {
+    console.error('Failed to save sound setting:', e);
+  }
+  renderSoundToggle();
+
+  // A short preview confirms sound is working (and unlocks audio on iOS)
+  if (on) {
+    const ac = getAudioContext();
+    if (ac) playTone(ac, { freq: 1318.5, duration: 0.25, volume: 0.1 });
+  }
+}
+
+function renderSoundToggle() {
+  const button = $('soundToggle');
+  if (!button) return;
+
+  const on = isSoundOn();
+  button.textContent = on ? '🔊' : '🔇';
+  button.setAttribute('aria-pressed', String(!on));
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-// Navigation
-////////////////////////////////////////////////////////////////////////////////
+// Navigation
+////////////////////////////////////////////////////////////////////////////////
 function previousHole() {
-  if (currentHole > 0) {
-    // Use browser history to go back, ensuring consistency with browser back button
+  if (playoff) {
+    history.back();
+    return;
+  }
+  if (currentHole === 0) return;
+
+  // Retrace browser history when it leads to the previous hole, so the back
+  // button and this one agree; after a jump or a reload it leads elsewhere
+  if (history.state?.from === currentHole - 1) {
+    pushUndo({ type: 'hole', from: currentHole, to: currentHole - 1 });
     history.back();
+  } else {
+    jumpToHole(currentHole - 1);
+  }
+}
+
+function nextHole() {
+  if (playoff) {
+    nextPlayoffHole();
+    return;
   }
+
+  // Check all scores entered; withdrawn and late players only need the holes they play
+  if (!isHoleComplete(game.round, currentHole)) {
+    showToast('Enter scores for all players', 'warning');
+    return;
+  }
+
+  if (currentHole < getHoleCount() - 1) {
+    pushUndo({ type: 'hole', from: currentHole, to: currentHole + 1 });
+    currentHole++;
+    // Push new hole to history for back button support
+    history.pushState({ hole: currentHole, from: currentHole - 1, game: true }, '', `#hole${currentHole + 1}`);
+    renderHole();
+    saveState();
+  } else if (tiebreaker === 'playoff' && !teams && getTiedLeaders().length > 1) {
+    startPlayoff(getTiedLeaders());
+  } else {
+    endGame();
+  }
+}
+
+/**
+ * Go straight to a hole. Each jump is a history entry, so back returns to the
+ * hole jumped from (see the popstate handler).
+ * @param {number} hi - Hole index, up to the furthest hole reached
+ */
+function jumpToHole(hi) {
+  if (!gameStarted || playoff || hi === currentHole || !Number.isInteger(hi) || hi < 0 || hi > getFurthestHole()) return;
+
+  pushUndo({ type: 'hole', from: currentHole, to: hi });
+  const from = currentHole;
+  currentHole = hi;
+  history.pushState({ hole: hi, from, game: true }, '', `#hole${hi + 1}`);
+  renderHole();
+  saveState();
+}
+
+// The hole after the last one anybody has scored; holes past it aren't open yet
+function getFurthestHole() {
+  const last = roundHoles.reduce((found, h, hi) => players.some(p => p.scores[hi] !== null) ? hi : found, -1);
+  return Math.max(currentHole, Math.min(last + 1, roundHoles.length - 1));
+}
+
+function renderHoleNav() {
+  const nav = document.getElementById('holeNav');
+  if (!nav) return;
+
+  const furthest = getFurthestHole();
+  nav.innerHTML = roundHoles.map((h, hi) => {
+    const scored = players.every(p => p.scores[hi] !== null || !isPlayingHole(p, hi));
+    const label = formatHoleLabel(roundHoles, hi);
+    return `
+      <button type="button" class="hole-nav-btn ${scored ? 'scored' : ''}" onclick="jumpToHole(${hi})"
+        ${hi === currentHole ? 'aria-current="step"' : ''} ${hi > furthest ? 'disabled' : ''}
+        aria-label="Hole ${label}${scored ? ', scored' : ''}">${h.hole}</button>
+    `;
+  }).join('');
+  nav.classList.remove('hidden');
+  nav.querySelector('[aria-current]')?.scrollIntoView?.({ block: 'nearest', inline: 'center' });
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Undo & Score Log
+////////////////////////////////////////////////////////////////////////////////
+// Score entries and hole changes can be undone (and redone) until the next
+// entry. The log keeps every score change of the round, undos and scores synced
+// from other phones included, so disputes can be settled from the scorecards.
+const MAX_UNDO_STEPS = 50;
+const MAX_SCORE_LOG = 500;
+const SNACKBAR_MS = 6000;
+
+const scoreSources = {
+  entry: 'entered',
+  undo: 'undone',
+  redo: 'redone',
+  live: 'synced'
+};
+
+let undoStack = []; // [{ type: 'score', players, hole, before, after } | { type: 'hole', from, to }]
+let redoStack = [];
+let snackbarTimer = null;
+
+function pushUndo(step) {
+  undoStack.push(step);
+  if (undoStack.length > MAX_UNDO_STEPS) undoStack.shift();
+  redoStack = [];
+}
+
+function clearUndo() {
+  undoStack = [];
+  redoStack = [];
+  hideSnackbar();
+}
+
+function undo() {
+  replayStep(undoStack, redoStack, 'undo');
+}
+
+function redo() {
+  replayStep(redoStack, undoStack, 'redo');
+}
+
+/**
+ * Take back (or put back) the latest step and move it to the other stack
+ * @param {Array} from - Stack to take the step from
+ * @param {Array} to - Stack the step moves to
+ * @param {string} direction - 'undo' or 'redo'
+ */
+function replayStep(from, to, direction) {
+  if (!gameStarted || playoff) return;
+
+  const step = from.pop();
+  if (!step) {
+    showToast(`Nothing to ${direction}`, 'info');
+    return;
+  }
+
+  const back = direction === 'undo';
+  if (step.type === 'hole') {
+    showHoleFromUndo(back ? step.from : step.to);
+    to.push(step);
+    showSnackbar(`${back ? 'Back on' : 'On'} hole ${formatHoleLabel(roundHoles, currentHole)}`, back ? 'redo' : 'undo');
+    return;
+  }
+
+  // A score changed since, e.g. from another phone, is left alone
+  const expected = back ? step.players.map(() => step.after) : step.before;
+  if (step.players.some((idx, i) => players[idx]?.scores[step.hole] !== expected[i])) {
+    showToast(`Can't ${direction} – the score has changed since`, 'warning');
+    return;
+  }
+
+  // Players going back to the same score change together, so they redraw once
+  const targets = back ? step.before : step.players.map(() => step.after);
+  const byScore = new Map();
+  step.players.forEach((idx, i) => byScore.set(targets[i], [...(byScore.get(targets[i]) ?? []), idx]));
+  byScore.forEach((indices, strokes) => {
+    indices.forEach(idx => stampLiveScore(idx, step.hole));
+    game.setScore(indices, step.hole, strokes, direction);
+  });
+
+  to.push(step);
+  showSnackbar(`${back ? 'Undone' : 'Redone'}: ${describeScoreStep(step)}`, back ? 'redo' : 'undo');
+}
+
+function showHoleFromUndo(hole) {
+  currentHole = hole;
+  history.replaceState({ hole, game: true }, '', `#hole${hole + 1}`);
+  renderHole();
+  saveState();
+}
+
+// "Ann – 3 on hole 4"; a scramble team's score reads under the team name
+function describeScoreStep(step) {
+  const team = teams?.mode === 'scramble' && step.players.length > 1
+    ? teams.list.find(t => t.members.length === step.players.length && t.members.every(i => step.players.includes(i)))
+    : null;
+  const who = team ? team.name : step.players.map(idx => players[idx]?.name ?? '?').join(', ');
+  return `${who} – ${step.after ?? '–'} on hole ${formatHoleLabel(roundHoles, step.hole)}`;
+}
+
+/**
+ * Offer to undo (or redo) what just happened, until the next step replaces it
+ * @param {string} text - What happened
+ * @param {string} action - 'undo' or 'redo'
+ */
+function showSnackbar(text, action) {
+  const bar = document.getElementById('undoSnackbar');
+  if (!bar) return;
+
+  bar.innerHTML = `
+    <span>${escapeHtml(text)}</span>
+    <button class="btn secondary compact" type="button" onclick="${action}()">${action === 'undo' ? '↩️ Undo' : '↪️ Redo'}</button>
+  `;
+  bar.classList.remove('hidden');
+  clearTimeout(snackbarTimer);
+  snackbarTimer = setTimeout(hideSnackbar, SNACKBAR_MS);
+}
+
+function hideSnackbar() {
+  clearTimeout(snackbarTimer);
+  document.getElementById('undoSnackbar')?.classList.add('hidden');
+}
+
+/**
+ * Add a score change to the round's log
+ * @param {number} hole - Hole index
+ * @param {number} playerIdx - Player index
+ * @param {number|null} from - Score before
+ * @param {number|null} to - Score after
+ * @param {string} source - Key of scoreSources
+ * @param {string} [device] - Phone that made the change
+ */
+function logScoreChange(hole, playerIdx, from, to, source, device = getLiveDevice()) {
+  scoreLog.push({ t: Date.now(), hole, player: playerIdx, name: players[playerIdx].name, from, to, source, device });
+  if (scoreLog.length > MAX_SCORE_LOG) scoreLog.splice(0, scoreLog.length - MAX_SCORE_LOG);
+}
+
+// Saved logs are shown as-is, so only well-formed entries are kept
+function isValidLogEntry(entry, holeCount) {
+  const score = s => s === null || isValidScore(s);
+  return Boolean(entry) && Number.isFinite(entry.t) && Number.isInteger(entry.hole) &&
+    entry.hole >= 0 && entry.hole < holeCount && typeof entry.name === 'string' &&
+    score(entry.from) && score(entry.to) && Object.prototype.hasOwnProperty.call(scoreSources, entry.source);
+}
+
+/**
+ * Score changes newest first, for the scorecard modal and finished rounds
+ * @param {Array} [log] - Log entries, see logScoreChange()
+ * @param {Array} [holes] - Holes of the round the log belongs to
+ * @returns {string} HTML
+ */
+function scoreLogHTML(log = scoreLog, holes = roundHoles) {
+  const device = getLiveDevice();
+  const items = log.slice().reverse().map(entry => `
+    <li>
+      <time>${new Date(entry.t).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}</time>
+      Hole ${formatHoleLabel(holes, entry.hole)} · <strong>${escapeHtml(entry.name)}</strong>
+      ${entry.from ?? '–'} → ${entry.to ?? '–'}
+      <small>${scoreSources[entry.source]} ${entry.device === device ? 'on this phone' : `on phone …${escapeHtml(String(entry.device).slice(-4))}`}</small>
+    </li>
+  `).join('');
+
+  return `
+    <details class="handoff-panel score-log">
+      <summary>📝 Score changes (${log.length})</summary>
+      ${items ? `<ol>${items}</ol>` : '<p>No scores entered yet.</p>'}
+    </details>
+  `;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Roster Changes
+////////////////////////////////////////////////////////////////////////////////
+// Players can be added, withdrawn, renamed and reordered mid-round from the
+// scorecard modal. The changes go through the engine (see createGame()), whose
+// listener saves them; late and withdrawn players are marked on the scorecards.
+
+/**
+ * "Joined on hole 4 · not ranked" for players who missed part of the round
+ * @param {Array} holes - Round holes, for labels
+ * @param {Object} player - Player in the round
+ * @param {boolean} [ranked] - Whether players are ranked themselves (not in teams)
+ * @returns {string} HTML, empty for players who play the whole round
+ */
+function rosterNoteHTML(holes, player, ranked = true) {
+  const notes = [];
+  if (player.joined) notes.push(`Joined on hole ${formatHoleLabel(holes, player.joined)}`);
+  if (hasWithdrawn(player)) {
+    notes.push(player.withdrawn === 0 ? 'Withdrew before teeing off' : `Withdrew after hole ${formatHoleLabel(holes, player.withdrawn - 1)}`);
+  } else if (ranked && !isRankedPlayer(player)) {
+    notes.push('not ranked until the missed holes are scored');
+  }
+  return notes.length > 0 ? `<div class="roster-note">${escapeHtml(notes.join(' · '))}</div>` : '';
+}
+
+/**
+ * Roster panel in the scorecard modal, while the round is being played
+ * @param {boolean} [open] - Render it expanded, as it was before a redraw
+ * @returns {string} HTML
+ */
+function rosterPanelHTML(open = false) {
+  if (!gameStarted || playoff) return '';
+
+  const lock = getRosterLock(getCurrentRound());
+  const attr = value => escapeHtml(String(value)).replace(/"/g, '&quot;');
+  const rows = players.map((player, idx) => `
+    <li class="roster-row ${hasWithdrawn(player) ? 'withdrawn' : ''}">
+      <input type="text" class="roster-name" value="${attr(player.name)}" maxlength="20" autocomplete="off"
+             aria-label="Name of player ${idx + 1}" onchange="renameRosterPlayer(${idx}, this.value)">
+      <button type="button" onclick="moveRosterPlayer(${idx}, -1)" ${idx === 0 ? 'disabled' : ''}
+              aria-label="${attr(`Move ${player.name} up`)}">↑</button>
+      <button type="button" onclick="moveRosterPlayer(${idx}, 1)" ${idx === players.length - 1 ? 'disabled' : ''}
+              aria-label="${attr(`Move ${player.name} down`)}">↓</button>
+      ${lock ? '' : hasWithdrawn(player)
+        ? `<button type="button" onclick="reinstateRosterPlayer(${idx})" aria-label="${attr(`Reinstate ${player.name}`)}">↩ Back in</button>`
+        : `<button type="button" onclick="withdrawRosterPlayer(${idx})" aria-label="${attr(`Withdraw ${player.name}`)}">WD</button>`}
+      ${rosterNoteHTML(roundHoles, player, !teams)}
+    </li>
+  `).join('');
+
+  const fill = teams
+    ? `<select name="team" aria-label="Team">
+        ${teams.list.map((team, t) => `<option value="${t}">${escapeHtml(team.name)}</option>`).join('')}
+      </select>`
+    : `<select name="rule" aria-label="Holes already played">
+        ${Object.entries(lateJoinRules).map(([key, rule]) => `<option value="${key}">${rule.label}</option>`).join('')}
+      </select>`;
+  const addHTML = lock
+    ? `<p class="roster-lock">${escapeHtml(lock)} – players can't join or withdraw.</p>`
+    : players.length >= MAX_PLAYERS
+      ? `<p class="roster-lock">The group is full (${MAX_PLAYERS} players).</p>`
+      : `
+        <form class="roster-add" onsubmit="addLatePlayer(event)">
+          <input type="text" name="name" placeholder="Player ${players.length + 1} name" aria-label="Name of the new player"
+                 maxlength="20" autocomplete="off" autocapitalize="words">
+          <input type="number" name="handicap" placeholder="HCP" aria-label="Handicap of the new player"
+                 min="0" max="${MAX_HANDICAP}" inputmode="numeric">
+          ${currentHole > 0 || teams ? fill : ''}
+          <button class="btn secondary compact" type="submit">+ Join from hole ${formatHoleLabel(roundHoles, currentHole)}</button>
+        </form>
+      `;
+
+  return `
+    <details class="handoff-panel roster-panel" ${open ? 'open' : ''}>
+      <summary>👥 Players (${players.length})</summary>
+      <ol class="roster-list">${rows}</ol>
+      ${addHTML}
+    </details>
+  `;
+}
+
+// Add a player from the roster panel; they start on the hole being played
+function addLatePlayer(event) {
+  event.preventDefault();
+  const form = event.target;
+  if (players.length >= MAX_PLAYERS) {
+    showToast(`Maximum ${MAX_PLAYERS} players allowed`, 'warning');
+    return;
+  }
+
+  const name = form.elements.name.value.trim() || `Player ${players.length + 1}`;
+  const rule = form.elements.rule?.value;
+  const team = form.elements.team ? Number(form.elements.team.value) : null;
+  const idx = game.addPlayer({ name, handicap: form.elements.handicap.value }, currentHole,
+    isValidLateJoinRule(rule) ? rule : 'blank', team);
+  if (idx === -1) {
+    showToast(getRosterLock(getCurrentRound()) ?? `${name} couldn't join the round`, 'warning');
+    return;
+  }
+  showToast(`${players[idx].name} joins on hole ${formatHoleLabel(roundHoles, currentHole)}`, 'success');
+}
+
+function withdrawRosterPlayer(idx) {
+  const player = players[idx];
+  if (!player) return;
+
+  showConfirm({
+    title: `Withdraw ${player.name}?`,
+    message: 'Their scores stay on the scorecards, marked WD, but they can no longer win.',
+    confirmLabel: 'Withdraw'
+  }).then(ok => {
+    if (!ok || game.withdrawPlayer(idx)) return;
+    const lock = getRosterLock(getCurrentRound());
+    showToast(lock ?? (teams ? 'Every team needs at least one player' : 'Someone has to be left to win'), 'warning');
+  });
+}
+
+function reinstateRosterPlayer(idx) {
+  if (game.reinstatePlayer(idx)) showToast(`${players[idx].name} is back in the round`, 'success');
+}
+
+function renameRosterPlayer(idx, name) {
+  if (!players[idx]) return;
+  if (!name.trim()) {
+    showToast('Names can\'t be blank', 'warning');
+    renderScorecards();
+    return;
+  }
+  game.renamePlayer(idx, name);
+}
+
+function moveRosterPlayer(idx, step) {
+  game.movePlayer(idx, idx + step);
+}
+
+/**
+ * Carry player indices kept outside the engine over to a new player order
+ * @param {number[]} order - New index → old index, from a 'move' roster change
+ */
+function remapPlayerIndices(order) {
+  const remap = i => order.indexOf(i);
+  [...undoStack, ...redoStack].forEach(step => {
+    if (step.type === 'score') step.players = step.players.map(remap);
+  });
+  scoreLog.forEach(entry => {
+    if (Number.isInteger(entry.player)) entry.player = remap(entry.player);
+  });
+  strokeCounts = {};
+
+  // Fresh stamps make this order win over the live server's copy of the group
+  if (liveEvent) {
+    liveEvent.stamps = order.map(i => liveEvent.stamps[i]);
+    order.forEach((old, idx) => {
+      if (old !== idx) players[idx].scores.forEach((s, hi) => stampLiveScore(idx, hi));
+    });
+  }
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Sudden-Death Playoff
+////////////////////////////////////////////////////////////////////////////////
+// Indices of the players sharing first place on the regular holes
+function getTiedLeaders() {
+  const standings = getStandings({ ...getCurrentRound(), playoff: null });
+  return standings.entries.filter(e => e.rank === 1).map(e => e.index);
+}
+
+/**
+ * Extend the round with sudden-death holes until one leader remains.
+ * Playoff holes replay the round from its first hole and never count towards totals.
+ * @param {number[]} entrants - Player indices tied for the lead
+ */
+function startPlayoff(entrants) {
+  playoff = { entrants, holes: [] };
+  hideSnackbar();
+  addPlayoffHole(entrants);
+  showToast(`Sudden-death playoff! ${entrants.map(i => players[i].name).join(' vs ')}`);
+
+  history.pushState({ hole: currentHole, game: true, playoff: 1 }, '', '#playoff1');
+  renderHole();
+  saveState();
+}
+
+function addPlayoffHole(contenders) {
+  const { course, hole } = roundHoles[playoff.holes.length % roundHoles.length];
+  playoff.holes.push({ course, hole, contenders, scores: {}, survivors: null });
+}
+
+function getPlayoffHole() {
+  return playoff.holes[playoff.holes.length - 1];
+}
+
+function nextPlayoffHole() {
+  const current = getPlayoffHole();
+  if (current.contenders.some(i => !isValidScore(current.scores[i]))) {
+    showToast('Enter playoff scores for all players', 'warning');
+    return;
+  }
+
+  const best = Math.min(...current.contenders.map(i => current.scores[i]));
+  current.survivors = current.contenders.filter(i => current.scores[i] === best);
+
+  if (current.survivors.length === 1) {
+    endGame();
+    return;
+  }
+
+  addPlayoffHole(current.survivors);
+  history.pushState({ hole: currentHole, game: true, playoff: playoff.holes.length }, '', `#playoff${playoff.holes.length}`);
+  renderHole();
+  saveState();
+}
+
+// Going back steps through playoff holes, then returns to the last regular hole
+function previousPlayoffHole() {
+  playoff.holes.pop();
+  if (playoff.holes.length === 0) {
+    playoff = null;
+  } else {
+    getPlayoffHole().survivors = null;
+  }
+  renderHole();
+  saveState();
+}
+
+// Playoffs arrive from saved games and share links, and their scores are shown
+// as-is, so every hole is checked: scores only for its contenders, survivors
+// (once the hole is settled) from among them
+function isValidPlayoff(data) {
+  return Boolean(data) && Array.isArray(data.entrants) && data.entrants.length > 1 &&
+    data.entrants.every(isValidPlayerIndex) && Array.isArray(data.holes) && data.holes.length > 0 &&
+    data.holes.every(h => isValidPlayoffHole(h, data.entrants));
+}
+
+function isValidPlayoffHole(h, entrants) {
+  if (!h || !isValidRoundHoles([h]) || !Array.isArray(h.contenders) || h.contenders.length === 0 ||
+      !h.contenders.every(i => entrants.includes(i))) {
+    return false;
+  }
+  const isContender = i => h.contenders.includes(i);
+  return Boolean(h.scores) && typeof h.scores === 'object' && !Array.isArray(h.scores) &&
+    Object.entries(h.scores).every(([key, s]) => isContender(Number(key)) && String(Number(key)) === key && isValidScore(s)) &&
+    (h.survivors === null || (Array.isArray(h.survivors) && h.survivors.length > 0 && h.survivors.every(isContender)));
+}
+
+function renderPlayoffHole() {
+  const current = getPlayoffHole();
+  document.getElementById('holeNav')?.classList.add('hidden');
+  const course = courses[current.course];
+  const par = course.pars[current.hole - 1];
+
+  const holeNumberEl = $('holeNumber');
+  if (holeNumberEl) holeNumberEl.textContent = `Playoff Hole ${playoff.holes.length}`;
+  const holeNameEl = $('holeName');
+  if (holeNameEl) {
+    holeNameEl.textContent = course.holeNames[current.hole] || '';
+    holeNameEl.classList.toggle('hidden', !course.holeNames[current.hole]);
+  }
+
+  const storyEl = $('holeStory');
+  if (storyEl) {
+    storyEl.textContent = course.stories[current.hole] || 'Sudden death – the next hole decides it!';
+    storyEl.classList.remove('expanded');
+  }
+
+  const holeProgressEl = $('holeProgress');
+  if (holeProgressEl) {
+    holeProgressEl.textContent = `Sudden-death playoff · ${course.name} – Hole ${current.hole} (Par ${par})`;
+  }
+
+  const formatStatusEl = $('formatStatus');
+  if (formatStatusEl) {
+    formatStatusEl.textContent = 'Lowest score wins – ties play on';
+    formatStatusEl.classList.remove('hidden');
+  }
+
+  const grid = $('playersGrid');
+  if (!grid) return;
+
+  grid.innerHTML = current.contenders.map(idx => {
+    const player = players[idx];
+
+    return `
+      <div class="player-card playoff" data-kind="player" data-index="${idx}" tabindex="0" role="group" aria-label="${escapeHtml(player.name)}">
+        <label>${escapeHtml(player.name)}</label>
+        ${scoreEntryHTML('player', idx, `Playoff strokes for ${player.name}`)}
+        <div class="player-total">
+          <span>Round: ${player.total}</span>
+          <span class="par-info">⚔️ Playoff</span>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  updateMobileButtons();
+}
+
+function endGame() {
+  gameStarted = false;
+  clearUndo();
+
+  const holePlay = $('holePlay');
+  const summarySection = $('summarySection');
+  const mobileButtonBar = $('mobileButtonBar');
+  const container = $$('.container');
+
+  if (holePlay) holePlay.classList.remove('active');
+  if (summarySection) summarySection.classList.add('active');
+  if (mobileButtonBar) mobileButtonBar.classList.remove('active');
+  if (container) container.classList.remove('gameplay');
+
+  // Clear URL hash when game ends
+  history.replaceState({}, '', window.location.pathname);
+
+  buildLeaderboard(getCurrentRound(), $('winnerAnnouncement'), $('leaderboardContent'), { editable: true });
+  renderFinishedScoreLog($('summaryScoreLog'), scoreLog, roundHoles);
+  renderLiveBoards();
+  const careerBefore = getCareerStats(loadHistory());
+  finishedRoundId = archiveRound()?.id ?? null;
+  announceLifetimeBadges(careerBefore, getCareerStats(loadHistory()));
+
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    console.error('Failed to clear localStorage:', e);
+  }
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Achievements
+////////////////////////////////////////////////////////////////////////////////
+// Round achievements are earned on holes: each rule's find() gets the scores a
+// player played in a round and returns the round indices of the holes it was
+// earned on, once per time it was earned. Lifetime badges are judged on career
+// stats, see getCareerStats(). Add an entry to either map to add an achievement.
+const STREAK_LENGTH = 3;
+const COMEBACK_DEFICIT = 3;
+
+// Holes where a scored hole passes the test
+function holesWhere(scores, test) {
+  return scores.flatMap((score, hi) => (score !== null && test(score, hi) ? [hi] : []));
+}
+
+const achievementRules = {
+  holeInOne: {
+    icon: '⭐',
+    label: 'Hole in One',
+    description: 'Sink a hole in one stroke',
+    find: ({ scores }) => holesWhere(scores, score => score === 1)
+  },
+  eagle: {
+    icon: '🦅',
+    label: 'Eagle',
+    description: 'Finish a hole two or more under par',
+    find: ({ scores, pars }) => holesWhere(scores, (score, hi) => score - pars[hi] <= -2)
+  },
+  parStreak: {
+    icon: '🎯',
+    label: 'Three in a Row',
+    description: `Par or better on ${STREAK_LENGTH} holes in a row`,
+    find: ({ scores, pars }) => {
+      let streak = 0;
+      return scores.flatMap((score, hi) => {
+        streak = score !== null && score <= pars[hi] ? streak + 1 : 0;
+        return streak > 0 && streak % STREAK_LENGTH === 0 ? [hi] : [];
+      });
+    }
+  },
+  bogeyFreeNine: {
+    icon: '🛡️',
+    label: 'Bogey-Free Nine',
+    description: 'Play a nine without a bogey',
+    find: ({ scores, pars }) => {
+      const result = [];
+      for (let end = NINE - 1; end < scores.length; end += NINE) {
+        const nine = scores.slice(end - NINE + 1, end + 1);
+        if (nine.every((score, i) => score !== null && score <= pars[end - NINE + 1 + i])) result.push(end);
+      }
+      return result;
+    }
+  },
+  dragonKing: {
+    icon: '👑',
+    label: 'Dragon King Slain',
+    // The boss hole of each course comes from "boss = ..." in holes.ini
+    get description() {
+      const lairs = Object.values(courses).filter(c => c.boss).map(c => `hole ${c.boss} of ${c.name}`);
+      return `Birdie or better on ${lairs.length > 0 ? lairs.join(' or ') : 'a course\'s boss hole'}`;
+    },
+    find: ({ scores, pars, holes }) =>
+      holesWhere(scores, (score, hi) => holes[hi] && courses[holes[hi].course]?.boss === holes[hi].hole && score < pars[hi])
+  },
+  perfectRound: {
+    icon: '💎',
+    label: 'Perfect Round',
+    description: 'Par or better on every hole and finish under par',
+    find: ({ scores, pars }) => {
+      const clean = scores.length > 0 && scores.every((score, hi) => score !== null && score <= pars[hi]);
+      return clean && scores.some((score, hi) => score < pars[hi]) ? [scores.length - 1] : [];
+    }
+  },
+  comebackWin: {
+    icon: '🔥',
+    label: 'Comeback Win',
+    description: `Win a stroke play round after trailing by ${COMEBACK_DEFICIT} or more`,
+    find: ({ round, index }) => {
+      // Only outright stroke play wins of a finished round; in team play the teams win
+      const field = round.players;
+      if (round.teams || round.format !== 'stroke' || field.length < 2 ||
+          field.some(p => p.scores.includes(null))) return [];
+
+      const entry = getStandings(round).entries.find(e => e.index === index);
+      if (!entry || entry.rank !== 1 || entry.tied) return [];
+
+      const strokes = field.map(p => getHandicapStrokes(round.scoring === 'net' ? p.handicap : 0, round.pars.length));
+      const running = field.map(() => 0);
+      let deficit = 0;
+      round.pars.forEach((par, hi) => {
+        field.forEach((p, i) => { running[i] += p.scores[hi] - strokes[i][hi]; });
+        deficit = Math.max(deficit, running[index] - Math.min(...running));
+      });
+      return deficit >= COMEBACK_DEFICIT ? [round.pars.length - 1] : [];
+    }
+  }
+};
+
+const lifetimeBadges = {
+  squire: {
+    icon: '🗡️',
+    label: 'Squire',
+    description: 'Play 5 quests',
+    earned: stats => stats.rounds >= 5
+  },
+  knight: {
+    icon: '⚔️',
+    label: 'Knight of the Realm',
+    description: 'Play 25 quests',
+    earned: stats => stats.rounds >= 25
+  },
+  aceCollector: {
+    icon: '🌟',
+    label: 'Ace Collector',
+    description: 'Make 3 holes in one',
+    earned: stats => stats.holeInOnes >= 3
+  },
+  champion: {
+    icon: '🏆',
+    label: 'Champion',
+    description: 'Win 10 quests outright',
+    earned: stats => stats.wins >= 10
+  },
+  explorer: {
+    icon: '🗺️',
+    label: 'Realm Explorer',
+    description: 'Finish a full round on every course',
+    earned: stats => Object.keys(courses).length > 0 &&
+      Object.keys(courses).every(id => stats.courses[id]?.rounds > 0)
+  },
+  badgeHunter: {
+    icon: '🎖️',
+    label: 'Badge Hunter',
+    description: 'Earn 10 round achievements',
+    earned: stats => Object.values(stats.achievements).reduce((sum, n) => sum + n, 0) >= 10
+  }
+};
+
+/**
+ * Achievements one player earned in a round
+ * @param {Object} round - Round (current, archived or a team round)
+ * @param {number} index - Player's index in round.players
+ * @returns {Array} Achievements ({ id, icon, label, hole }) in hole order
+ */
+function getRoundAchievements(round, index) {
+  const player = round.players[index];
+  if (!player || round.pars.length === 0) return [];
+
+  const context = {
+    round,
+    index,
+    scores: getPlayedScores(player),
+    pars: round.pars,
+    holes: getArchivedRoundHoles(round)
+  };
+
+  return Object.entries(achievementRules)
+    .flatMap(([id, rule]) => rule.find(context).map(hole => ({ id, icon: rule.icon, label: rule.label, hole })))
+    .sort((a, b) => a.hole - b.hole);
+}
+
+/**
+ * Achievements for a leaderboard entry. A team's come from its players, unless
+ * they shared one ball in a scramble.
+ * @param {Object} round - Round the entry belongs to (a team round for teams)
+ * @param {Object} player - Player or team entry
+ * @returns {Array} Achievements ({ id, icon, label, hole, who }) in hole order per player
+ */
+function getAchievements(round, player) {
+  const scramble = round.source?.teams.mode === 'scramble';
+  const scorers = player.members && !scramble ? player.members : [player];
+
+  return scorers.flatMap(scorer => {
+    const own = scorer === player;
+    const scorerRound = own ? round : round.source;
+    return getRoundAchievements(scorerRound, scorerRound.players.indexOf(scorer))
+      .map(a => ({ ...a, who: own ? '' : scorer.name }));
+  });
+}
+
+// Keys of every achievement earned so far in the game, to spot new ones after a score
+function getEarnedAchievementKeys() {
+  const ranked = getRankedRound(getCurrentRound());
+  return new Set(ranked.players.flatMap((p, i) =>
+    getAchievements(ranked, p).map(a => `${i}:${a.id}:${a.hole}:${a.who}`)));
+}
+
+/**
+ * Achievements earned since an earlier getEarnedAchievementKeys()
+ * @param {Set} before - Keys earned before the latest score
+ * @returns {Array} New achievements with the name of who earned them
+ */
+function getUnlockedAchievements(before) {
+  const ranked = getRankedRound(getCurrentRound());
+  return ranked.players.flatMap((p, i) => getAchievements(ranked, p)
+    .filter(a => !before.has(`${i}:${a.id}:${a.hole}:${a.who}`))
+    .map(a => ({ ...a, name: a.who || p.name })));
+}
+
+// Lifetime badges a career has earned, by id
+function getLifetimeBadges(stats) {
+  return Object.keys(lifetimeBadges).filter(id => lifetimeBadges[id].earned(stats));
+}
+
+function showAchievementToast(achievement) {
+  showToast(achievement.label, 'achievement', { icon: achievement.icon, detail: achievement.name });
+}
+
+// Announce lifetime badges the players of a just-archived round have now earned
+function announceLifetimeBadges(before, after) {
+  const names = new Set(players.map(p => String(p.name).trim().toLowerCase()));
+  after.filter(s => names.has(String(s.name).trim().toLowerCase())).forEach(s => {
+    const previous = before.find(b => b.name.trim().toLowerCase() === s.name.trim().toLowerCase());
+    const had = previous ? getLifetimeBadges(previous) : [];
+    getLifetimeBadges(s).filter(id => !had.includes(id)).forEach(id => {
+      showAchievementToast({ ...lifetimeBadges[id], name: s.name });
+    });
+  });
+}
+
+// Badge panel for a career: lifetime badges, then round achievements with counts
+function badgePanelHTML(stats) {
+  const earned = getLifetimeBadges(stats);
+  const badge = (item, got, count = '') => `
+    <span class="badge ${got ? '' : 'locked'}" title="${escapeHtml(item.description)}">
+      <span class="badge-icon">${item.icon}</span>
+      <span>${escapeHtml(item.label)}${count}</span>
+    </span>
+  `;
+
+  return `
+    <div class="badge-panel">
+      <strong>Badges</strong>
+      <div class="badge-grid">
+        ${Object.entries(lifetimeBadges).map(([id, b]) => badge(b, earned.includes(id))).join('')}
+      </div>
+      <strong>Achievements</strong>
+      <div class="badge-grid">
+        ${Object.entries(achievementRules).map(([id, rule]) => {
+          const n = stats.achievements[id] || 0;
+          return badge(rule, n > 0, n > 1 ? ` ×${n}` : '');
+        }).join('')}
+      </div>
+    </div>
+  `;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Leaderboard
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Render the final leaderboard for a round
+ * @param {Object} [round] - Round to render ({ course, pars, players }); defaults to the current game
+ * @param {HTMLElement} [winnerEl] - Element receiving the winner announcement
+ * @param {HTMLElement} [container] - Element receiving the leaderboard cards
+ * @param {Object} [options] - { editable } to let scores be corrected, for the round just finished
+ */
+function buildLeaderboard(round = getCurrentRound(), winnerEl = $('winnerAnnouncement'), container = $('leaderboardContent'), options = {}) {
+  if (!winnerEl || !container) return;
+
+  // Defensive check for empty players array
+  if (!round.players || round.players.length === 0) {
+    console.error('No players to display on leaderboard');
+    container.innerHTML = '<p>No players found.</p>';
+    return;
+  }
+
+  // Validate course data
+  if (!Array.isArray(round.pars) || round.pars.length === 0) {
+    console.error(`Invalid course for leaderboard: ${round.course}`);
+    return;
+  }
+
+  // Teams are ranked as one entry each, with their players in a drill-down
+  if (round.teams) {
+    buildLeaderboard(getTeamRound(round), winnerEl, container, options);
+    return;
+  }
+
+  const pars = round.pars;
+  const net = round.scoring === 'net';
+  const standing = p => getStandingTotal(p, round.scoring);
+  const standings = getStandings(round);
+  const formatColumn = formatColumnHeaders[standings.format];
+  const totalPar = pars.reduce((a, b) => a + b, 0);
+
+  winnerEl.innerHTML = getWinnerHTML(round, standings, totalPar);
+
+  container.innerHTML = maxStrokesNoteHTML(round);
+
+  // Players outside a two-player match are listed after it
+  const listed = standings.entries.map(e => e.index);
+  const others = round.players.map((p, index) => index).filter(index => !listed.includes(index));
+
+  [...standings.entries, ...others.map(index => ({ player: round.players[index], index, rank: null }))].forEach(entry => {
+    const { player, index } = entry;
+    const rank = entry.rank ? formatRank(entry) : null;
+    const card = document.createElement('div');
+    card.className = 'leaderboard-card';
+
+    const trophy = entry.rank === 1 ? '🏆' : entry.rank === 2 ? '🥈' : entry.rank === 3 ? '🥉' : '';
+    const displayDiff = formatParDiff(standing(player) - totalPar);
+    const strokes = getHandicapStrokes(net ? player.handicap : 0, pars.length);
+    // A team's row is only its own score in a scramble; other teams correct their players'
+    const source = round.source;
+    const editing = !options.editable ? null
+      : !source ? [index]
+        : source.teams.mode === 'scramble' ? source.teams.list[index].members : null;
+
+    // Build scorecard rows; in net mode +/− is measured on net strokes
+    const rows = player.scores.map((score, hi) => {
+      const par = pars[hi];
+      const d = score !== null ? score - strokes[hi] - par : null;
+      const diffText = d === null ? '–' : formatParDiff(d);
+      return `
+        <tr class="${isPlayingHole(player, hi) ? '' : 'missed-hole-row'}">
+          <td>${formatHoleLabel(round.holes, hi)}</td>
+          <td>${par}</td>
+          <td>${scoreEditHTML(editing, hi, scoreCellHTML(round, hi, score))}</td>
+          ${net ? `<td>${score === null ? '–' : score - strokes[hi]}</td>` : ''}
+          <td>${diffText}</td>
+          ${formatColumn ? `<td>${getFormatHoleCell(standings, round, index, hi)}</td>` : ''}
+        </tr>
+      `;
+    }).join('');
+
+    // Repeats of one achievement by the same player are listed once with a count
+    const counts = new Map();
+    getAchievements(round, player).forEach(a => {
+      const key = `${a.id}:${a.who}`;
+      counts.set(key, { ...a, count: (counts.get(key)?.count || 0) + 1 });
+    });
+    const achievements = [...counts.values()].map(a =>
+      `${a.icon} ${a.label}${a.count > 1 ? ` ×${a.count}` : ''}${a.who ? ` (${escapeHtml(a.who)})` : ''}`
+    );
+
+    const achievementsHTML = achievements.length > 0 ?
+      `<div class="achievements"><strong>Achievements:</strong> ${achievements.join(', ')}</div>` : '';
+
+    card.innerHTML = `
+      ${trophy ? `<div class="trophy">${trophy}</div>` : ''}
+      <h3>${rank ? `#${rank}` : hasWithdrawn(player) ? 'WD' : '–'} – ${escapeHtml(player.name)}${net ? ` <small>(HCP ${player.handicap || 0})</small>` : ''}</h3>
+      ${player.members ? `<div class="team-members">${player.members.map(m => escapeHtml(m.name)).join(', ')}</div>` : rosterNoteHTML(round.holes, player)}
+      ${formatColumn && entry.text ? `<div class="format-result">${entry.text}</div>` : ''}
+      <table class="scorecard">
+        <thead>
+          <tr><th>Hole</th><th>Par</th><th>Score</th>${net ? '<th>Net</th>' : ''}<th>+/−</th>${formatColumn ? `<th>${formatColumn}</th>` : ''}</tr>
+        </thead>
+        <tbody>
+          ${rows}
+          <tr class="total-row">
+            <td><strong>Total</strong></td>
+            <td><strong>${totalPar}</strong></td>
+            <td><strong>${player.total}</strong></td>
+            ${net ? `<td><strong>${standing(player)}</strong></td>` : ''}
+            <td><strong>${displayDiff}</strong></td>
+            ${formatColumn ? `<td><strong>${entry.text ?? '–'}</strong></td>` : ''}
+          </tr>
+        </tbody>
+      </table>
+      ${player.members ? `
+        <details class="team-standing">
+          <summary><span>Player scores</span></summary>
+          ${teamBreakdownHTML(round, index, -1, options.editable && source.teams.mode !== 'scramble')}
+        </details>
+      ` : ''}
+      ${achievementsHTML}
+    `;
+
+    container.appendChild(card);
+  });
+}
+
+/**
+ * Winner banner for the final leaderboard
+ * @param {Object} round - The finished round
+ * @param {Object} standings - Output of getStandings()
+ * @param {number} totalPar - Par for the round
+ * @returns {string} HTML for the announcement
+ */
+function getWinnerHTML(round, standings, totalPar) {
+  const leaders = standings.entries.filter(e => e.rank === 1);
+  const names = leaders.map(e => escapeHtml(e.player.name)).join(' & ');
+  const lead = leaders[0];
+  if (!lead) return '<strong>No one is ranked</strong>';
+  const decided = standings.decidedBy ? `<small class="tiebreak-note">Won ${standings.decidedBy}</small>` : '';
+  const playoffHTML = getPlayoffSummaryHTML(round);
+
+  if (standings.format === 'match') {
+    const headline = standings.decidedBy
+      ? `🏆 ${names} Wins!`
+      : `${lead.value === 0 ? '🤝' : '🏆'} ${escapeHtml(standings.status)}`;
+    return `
+      <strong>${headline}</strong>
+      ${scoringFormats.match.label}${standings.decidedBy ? ` (${escapeHtml(standings.status)})` : ''}
+      ${decided}${playoffHTML}
+    `;
+  }
+
+  const headline = leaders.length > 1 ? `🤝 Co-winners: ${names}!` : `🏆 ${names} Wins!`;
+
+  if (standings.format !== 'stroke') {
+    return `
+      <strong>${headline}</strong>
+      ${lead.text} · ${scoringFormats[standings.format].label}${standings.status ? ` (${standings.status})` : ''}
+      ${decided}${playoffHTML}
+    `;
+  }
+
+  const diff = lead.value - totalPar;
+  const parText = diff === 0 ? 'at par' :
+                  diff > 0 ? `${diff} over par` :
+                  `${Math.abs(diff)} under par`;
+
+  return round.scoring === 'net' ? `
+    <strong>${headline}</strong>
+    ${lead.value} net (${parText})${leaders.length === 1 ? ` · ${lead.player.total} gross` : ''}
+    ${decided}${playoffHTML}
+  ` : `
+    <strong>${headline}</strong>
+    ${lead.value} strokes (${parText})
+    ${decided}${playoffHTML}
+  `;
+}
+
+function getPlayoffSummaryHTML(round) {
+  if (!round.playoff) return '';
+
+  const holes = round.playoff.holes.filter(h => h.survivors).map((h, i) => `
+    <li>
+      Playoff ${i + 1} (${escapeHtml(getCourseLabel(h.course))} ${escapeHtml(h.hole)}):
+      ${h.contenders.map(idx => `${escapeHtml(round.players[idx].name)} ${escapeHtml(h.scores[idx] ?? '–')}`).join(', ')}
+    </li>
+  `).join('');
+
+  return holes ? `<ol class="playoff-summary">${holes}</ol>` : '';
+}
+
+/**
+ * Snapshot of the game in progress, in the same shape as archived rounds
+ * @returns {Object} Round with course, pars and players
+ */
+function getCurrentRound() {
+  return { ...game.round };
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Export & Sharing
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Hand a file to the Web Share API, falling back to a download where files
+ * can't be shared (desktop browsers, older phones)
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Name for the shared or downloaded file
+ * @param {string} title - Share sheet title
+ * @returns {Promise<void>}
+ */
+function shareFile(blob, filename, title) {
+  const file = typeof File === 'function' ? new File([blob], filename, { type: blob.type }) : null;
+
+  if (file && navigator.canShare?.({ files: [file] })) {
+    return navigator.share({ files: [file], title }).catch(err => {
+      if (err.name === 'AbortError') return; // share sheet dismissed
+      console.error('Share failed, downloading instead:', err);
+      downloadBlob(blob, filename);
+    });
+  }
+
+  downloadBlob(blob, filename);
+  return Promise.resolve();
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// e.g. "royal-mini-golf-dragon-2024-06-01.png"
+function getExportFilename(round, extension) {
+  const date = new Date().toISOString().slice(0, 10);
+  return `royal-mini-golf-${round.course}-${date}.${extension}`;
+}
+
+// Holes every player has scored, for "after N holes" on mid-round exports
+function getHolesPlayed(round) {
+  return round.pars.filter((par, hi) => isHoleComplete(round, hi)).length;
+}
+
+/**
+ * Shorten text with an ellipsis until it fits the width
+ * @param {CanvasRenderingContext2D} ctx - Context with the font already set
+ * @param {string} text - Text to draw
+ * @param {number} maxWidth - Available width in pixels
+ * @returns {string} Text that fits
+ */
+function fitCanvasText(ctx, text, maxWidth) {
+  if (ctx.measureText(text).width <= maxWidth) return text;
+  let fitted = text;
+  while (fitted.length > 1 && ctx.measureText(`${fitted}…`).width > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}…`;
+}
+
+/**
+ * Draw a shareable result card: course theme, winner, every total and achievements
+ * @param {Object} round - Round to draw (finished or in progress)
+ * @returns {HTMLCanvasElement|null} The card, or null without canvas support
+ */
+function drawResultCard(round) {
+  const canvas = document.createElement('canvas');
+  canvas.width = RESULT_CARD_WIDTH;
+  canvas.height = RESULT_CARD_HEIGHT;
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return null;
+
+  const W = canvas.width;
+  const H = canvas.height;
+  const ranked = getRankedRound(round);
+  const standings = getStandings(ranked);
+  const played = getHolesPlayed(ranked);
+
+  // Course colour fading into the app's night sky
+  const background = ctx.createLinearGradient(0, 0, 0, H);
+  background.addColorStop(0, courses[round.course]?.color ?? DEFAULT_COURSE_COLOR);
+  background.addColorStop(0.45, '#1e1b4b');
+  background.addColorStop(1, '#0f172a');
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, W, H);
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#fcd34d';
+  ctx.font = '700 64px Cinzel, serif';
+  ctx.fillText(fitCanvasText(ctx, getCourseLabel(round.course), W - 120), W / 2, 130);
+
+  const progress = played < ranked.pars.length ? `After ${played} of ${ranked.pars.length} holes` : describeRound(round.holes);
+  ctx.fillStyle = '#cbd5e1';
+  ctx.font = '36px system-ui, sans-serif';
+  ctx.fillText(`${progress} · ${formatRoundDate(new Date().toISOString())}`, W / 2, 200);
+
+  // Winner (or leader) headline
+  const leaders = standings.entries.filter(e => e.rank === 1);
+  const headline = standings.format === 'match'
+    ? standings.status
+    : `${leaders.length > 1 ? '🤝' : '🏆'} ${leaders.map(e => e.player.name).join(' & ')}`;
+  ctx.fillStyle = '#ffffff';
+  ctx.font = '700 60px Cinzel, serif';
+  ctx.fillText(fitCanvasText(ctx, headline, W - 120), W / 2, 310);
+
+  const formatLabel = round.teams ? teamModes[round.teams.mode].label : '';
+  ctx.fillStyle = '#c4b5fd';
+  ctx.font = '600 34px system-ui, sans-serif';
+  ctx.fillText([scoringFormats[standings.format].label, formatLabel, round.scoring === 'net' ? 'Net' : '']
+    .filter(Boolean).join(' · '), W / 2, 380);
+
+  // One row per player (or team)
+  const rowHeight = Math.min(120, (H - 560) / standings.entries.length);
+  standings.entries.forEach((entry, i) => {
+    const y = 460 + i * rowHeight;
+    const { player } = entry;
+
+    ctx.fillStyle = entry.rank === 1 ? 'rgba(251, 191, 36, 0.22)' : 'rgba(255, 255, 255, 0.08)';
+    ctx.beginPath();
+    if (ctx.roundRect) {
+      ctx.roundRect(60, y, W - 120, rowHeight - 16, 24);
+    } else {
+      ctx.rect(60, y, W - 120, rowHeight - 16);
+    }
+    ctx.fill();
+
+    const mid = y + (rowHeight - 16) / 2;
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#fbbf24';
+    ctx.font = '700 44px Cinzel, serif';
+    ctx.fillText(formatRank(entry), 90, mid);
+
+    const counts = getAchievements(ranked, player).reduce((acc, a) => ({ ...acc, [a.icon]: (acc[a.icon] || 0) + 1 }), {});
+    const badges = Object.entries(counts).map(([icon, n]) => n > 1 ? `${icon}×${n}` : icon).join(' ');
+
+    ctx.fillStyle = '#f8fafc';
+    ctx.font = '600 44px system-ui, sans-serif';
+    ctx.fillText(fitCanvasText(ctx, `${player.name}${badges ? `  ${badges}` : ''}`, W - 520), 200, mid);
+
+    const parPlayed = player.scores.reduce((sum, s, hi) => s === null ? sum : sum + ranked.pars[hi], 0);
+    const value = standings.format === 'stroke' ? `${entry.value} (${formatParDiff(entry.value - parPlayed)})` : entry.text;
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#fcd34d';
+    ctx.font = '700 44px system-ui, sans-serif';
+    ctx.fillText(value, W - 90, mid);
+  });
+
+  ctx.textAlign = 'center';
+  ctx.fillStyle = '#94a3b8';
+  ctx.font = '32px system-ui, sans-serif';
+  ctx.fillText('🏰 Royal Mini Golf Quest · Castle Fun Center – Chester, NY', W / 2, H - 60);
+
+  return canvas;
+}
+
+function shareResultCard() {
+  const round = getCurrentRound();
+  if (!round.players.length || !round.pars.length) return;
+
+  const canvas = drawResultCard(round);
+  if (!canvas) {
+    showToast('Result cards are not supported on this device', 'error');
+    return;
+  }
+
+  canvas.toBlob(blob => {
+    if (!blob) {
+      showToast('Could not create the result card', 'error');
+      return;
+    }
+    shareFile(blob, getExportFilename(round, 'png'), `${getCourseLabel(round.course)} results`);
+  }, 'image/png');
+}
+
+function csvField(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Hole-by-hole grid of a round: one column per player (and per team),
+ * with totals, par differential and the format result underneath
+ * @param {Object} round - Round to export
+ * @returns {string} CSV text
+ */
+function getScorecardCSV(round) {
+  const teamRound = round.teams ? getTeamRound(round) : null;
+  const net = round.scoring === 'net';
+  const standings = getStandings(teamRound ?? round);
+  const columns = [
+    ...round.players.map(p => ({ name: p.name, scores: p.scores, player: p })),
+    ...(teamRound ? teamRound.players.map(t => ({ name: `${t.name} (team)`, scores: t.scores, team: t })) : [])
+  ];
+
+  const totalOf = scores => scores.reduce((sum, s) => sum + (s ?? 0), 0);
+  const parOf = (scores, pars) => scores.reduce((sum, s, hi) => s === null ? sum : sum + pars[hi], 0);
+  const pars = col => col.team ? teamRound.pars : round.pars;
+
+  const rows = [
+    ['Hole', 'Course', 'Par', ...columns.map(c => c.name)],
+    ...round.pars.map((par, hi) => [
+      formatHoleLabel(round.holes, hi),
+      courses[round.holes[hi].course]?.name ?? round.holes[hi].course,
+      par,
+      ...columns.map(c => c.scores[hi] ?? '')
+    ]),
+    ['Total', '', round.pars.reduce((a, b) => a + b, 0), ...columns.map(c => totalOf(c.scores))],
+    ['To par', '', '', ...columns.map(c => formatParDiff(totalOf(c.scores) - parOf(c.scores, pars(c))))]
+  ];
+
+  if (net) {
+    rows.push(['Net', '', '', ...columns.map(c => c.player ? getNetTotal(c.player) : '')]);
+  }
+
+  // The ranked side gets its placing and format result
+  const rankedColumns = teamRound ? columns.filter(c => c.team) : columns;
+  const results = new Map(standings.entries.map(e => [rankedColumns[e.index], e]));
+  rows.push(['Place', '', '', ...columns.map(c => results.has(c) ? formatRank(results.get(c)) : c.player && hasWithdrawn(c.player) ? 'WD' : '')]);
+  if (standings.format !== 'stroke') {
+    rows.push([scoringFormats[standings.format].label, '', '', ...columns.map(c => results.get(c)?.text ?? '')]);
+  }
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function exportScorecardCSV() {
+  const round = getCurrentRound();
+  if (!round.players.length || !round.pars.length) return;
+
+  const blob = new Blob([getScorecardCSV(round)], { type: 'text/csv' });
+  shareFile(blob, getExportFilename(round, 'csv'), `${getCourseLabel(round.course)} scorecard`);
+}
+
+// Print every scorecard on white paper, see the print stylesheet
+function printScorecards() {
+  const round = getCurrentRound();
+  if (!round.players.length || !round.pars.length) return;
+
+  const title = $('printTitle');
+  if (title) {
+    const played = getHolesPlayed(getRankedRound(round));
+    const progress = played < round.pars.length ? ` (after ${played} of ${round.pars.length} holes)` : '';
+    title.textContent = `${getCourseLabel(round.course)} – ${formatRoundDate(new Date().toISOString())}${progress}`;
+  }
+
+  buildLeaderboard(round, $('printWinner'), $('printLeaderboard'));
+  $('printLeaderboard')?.querySelectorAll('details').forEach(d => { d.open = true; });
+  window.print();
+}
+
+// Export buttons at the top of the scorecard modal (the summary has its own)
+function exportActionsHTML() {
+  return `
+    <div class="export-actions">
+      <button class="btn secondary compact" type="button" onclick="shareResultCard()">📤 Result card</button>
+      <button class="btn secondary compact" type="button" onclick="exportScorecardCSV()">📄 CSV</button>
+      <button class="btn secondary compact" type="button" onclick="printScorecards()">🖨️ Print</button>
+    </div>
+  `;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Round History
+////////////////////////////////////////////////////////////////////////////////
+function loadHistory() {
+  let raw;
+  try {
+    raw = localStorage.getItem(HISTORY_KEY);
+  } catch (e) {
+    console.error('Failed to access localStorage:', e);
+    return [];
+  }
+
+  if (!raw) return [];
+
+  try {
+    return parseHistoryArchive(JSON.parse(raw));
+  } catch (e) {
+    console.error('Failed to load round history (corrupted data?):', e);
+    return [];
+  }
+}
+
+/**
+ * Rounds from a stored or exported history archive
+ * @param {Object} parsed - Archive ({ version, rounds })
+ * @returns {Array} Rounds that can be replayed, newest first
+ */
+function parseHistoryArchive(parsed) {
+  if (!parsed || parsed.version !== HISTORY_VERSION || !Array.isArray(parsed.rounds)) {
+    console.warn('Unsupported round history format, ignoring');
+    return [];
+  }
+
+  // Drop anything that can't be replayed
+  return parsed.rounds.filter(r =>
+    r && typeof r.id === 'string' && typeof r.date === 'string' &&
+    Array.isArray(r.pars) && Array.isArray(r.players) && r.players.length > 0
+  );
+}
+
+function saveHistory(rounds) {
+  try {
+    const archive = { version: HISTORY_VERSION, rounds: rounds.slice(0, MAX_HISTORY_ROUNDS) };
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(archive));
+    return true;
+  } catch (e) {
+    console.error('Failed to save round history:', e);
+    return false;
+  }
+}
+
+// Store the finished round at the front of the archive (newest first)
+function archiveRound() {
+  if (!players || players.length === 0 || !isValidCourse(currentCourse)) return null;
+
+  const record = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    date: new Date().toISOString(),
+    course: currentCourse,
+    holes: roundHoles.map(h => ({ course: h.course, hole: h.hole })),
+    pars: getRoundPars(),
+    scoring: scoringMode,
+    format: scoringFormat,
+    tiebreaker,
+    maxStrokes,
+    playoff: playoff ? JSON.parse(JSON.stringify(playoff)) : null,
+    teams: teams ? JSON.parse(JSON.stringify(teams)) : null,
+    players: players.map(p => ({ ...serializePlayer(p), total: p.total })),
+    log: scoreLog.map(entry => ({ ...entry }))
+  };
+
+  const rounds = loadHistory();
+  rounds.unshift(record);
+  saveHistory(rounds);
+  return record;
+}
+
+/**
+ * Aggregate lifetime stats for every player in the archive
+ * @param {Array} rounds - Archived rounds
+ * @returns {Array} Stats per player, most rounds played first
+ */
+function getCareerStats(rounds) {
+  const byName = new Map();
+
+  // Oldest first so the display name ends up as the most recent spelling.
+  // Scramble scores belong to the team, not the player, so those rounds are left out.
+  [...rounds].reverse().filter(round => round.teams?.mode !== 'scramble').forEach(round => {
+    // Outright wins only count when players were ranked against each other
+    const standings = !round.teams && round.players.length > 1 ? getStandings(round) : null;
+
+    round.players.forEach((p, pi) => {
+      const key = String(p.name).trim().toLowerCase();
+      if (!byName.has(key)) {
+        byName.set(key, { name: p.name, rounds: 0, wins: 0, holeInOnes: 0, best: null, courses: {}, achievements: {} });
+      }
+
+      const stats = byName.get(key);
+      stats.name = p.name;
+      stats.rounds++;
+
+      const entry = standings?.entries.find(e => e.index === pi);
+      if (entry && entry.rank === 1 && !entry.tied) stats.wins++;
+      getRoundAchievements(round, pi).forEach(a => {
+        stats.achievements[a.id] = (stats.achievements[a.id] || 0) + 1;
+      });
+
+      const holes = getArchivedRoundHoles(round);
+      const courseStats = id => stats.courses[id] ||= { rounds: 0, strokes: 0, holes: {} };
+
+      getPlayedScores(p).forEach((score, hi) => {
+        if (score === null || !holes[hi]) return;
+        const hole = courseStats(holes[hi].course).holes[holes[hi].hole] ||= { strokes: 0, played: 0 };
+        hole.strokes += score;
+        hole.played++;
+        if (score === 1) stats.holeInOnes++;
+      });
+
+      // Only whole-course rounds are comparable for averages and personal bests
+      if (isFullCourseRound(round) && !p.joined && !hasWithdrawn(p)) {
+        const course = courseStats(round.course);
+        course.rounds++;
+        course.strokes += p.total;
+
+        if (!stats.best || p.total < stats.best.total) {
+          stats.best = { total: p.total, course: round.course, date: round.date, id: round.id };
+        }
+      }
+    });
+  });
+
+  return [...byName.values()].sort((a, b) => b.rounds - a.rounds || a.name.localeCompare(b.name));
+}
+
+// Archived rounds from before round lengths existed always covered the whole course
+function getArchivedRoundHoles(round) {
+  return Array.isArray(round.holes) ? round.holes : courseSegment(round.course, 1, round.pars.length);
+}
+
+function isFullCourseRound(round) {
+  const holes = getArchivedRoundHoles(round);
+  const course = courses[round.course];
+  const expected = course ? course.holes : round.pars.length;
+  return !isMultiCourseRound(holes) && holes.length === expected &&
+    holes.every((h, i) => h.hole === i + 1);
+}
+
+function formatRoundDate(iso) {
+  const date = new Date(iso);
+  return isNaN(date) ? 'Unknown date' :
+    date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function showHistory() {
+  const section = $('historySection');
+  if (!section) return;
+
+  renderHistoryList();
+  renderCareerStats();
+  renderCourseReport();
+  hideHistoryRound();
+
+  // Setup/summary stay as they are underneath and reappear on close
+  $$('.container')?.classList.add('viewing-history');
+  section.classList.add('active');
+  window.scrollTo(0, 0);
+  history.pushState({ view: 'history' }, '', '#history');
+}
+
+function hideHistory() {
+  if (window.location.hash === '#history') {
+    // popstate handler closes the screen
+    history.back();
+  } else {
+    closeHistory();
+  }
+}
+
+function closeHistory() {
+  $('historySection')?.classList.remove('active');
+  $$('.container')?.classList.remove('viewing-history');
+}
+
+function renderHistoryList() {
+  const list = $('historyList');
+  if (!list) return;
+
+  const rounds = loadHistory();
+  if (rounds.length === 0) {
+    list.innerHTML = '<p class="history-empty">No finished quests yet. Complete a round to see it here!</p>';
+    return;
+  }
+
+  list.innerHTML = rounds.map(round => {
+    const leader = getStandings(getRankedRound(round)).entries[0];
+    return `
+      <button type="button" class="history-item" onclick="showHistoryRound('${round.id}')">
+        <span class="history-date">${formatRoundDate(round.date)}</span>
+        <span class="history-course">
+          ${escapeHtml(getCourseLabel(round.course))}${isFullCourseRound(round) ? '' : ` · ${describeRound(getArchivedRoundHoles(round))}`}
+        </span>
+        <span class="history-leader">🏆 ${escapeHtml(leader.player.name)} – ${leader.text}</span>
+      </button>
+    `;
+  }).join('');
+}
+
+function renderCareerStats() {
+  const panel = $('careerStats');
+  if (!panel) return;
+
+  const stats = getCareerStats(loadHistory());
+  if (stats.length === 0) {
+    panel.innerHTML = '';
+    return;
+  }
+
+  panel.innerHTML = stats.map(s => {
+    const courseRows = Object.entries(s.courses).map(([course, c]) => `
+      <tr>
+        <td>${escapeHtml(getCourseLabel(course))}</td>
+        <td>${c.rounds}</td>
+        <td>${c.rounds ? (c.strokes / c.rounds).toFixed(1) : '–'}</td>
+      </tr>
+    `).join('');
+
+    const holeTables = Object.entries(s.courses).map(([course, c]) => `
+      <table class="scorecard">
+        <caption>${escapeHtml(getCourseLabel(course))} – average per hole</caption>
+        <thead>
+          <tr><th>Hole</th><th>Avg</th></tr>
+        </thead>
+        <tbody>
+          ${Object.entries(c.holes).sort(([a], [b]) => a - b).map(([hole, h]) => `
+            <tr>
+              <td>${hole}</td>
+              <td>${(h.strokes / h.played).toFixed(2)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `).join('');
+
+    return `
+      <details class="career-card">
+        <summary>
+          <span>${escapeHtml(s.name)}</span>
+          <span class="career-rounds">${s.rounds} round${s.rounds === 1 ? '' : 's'}</span>
+        </summary>
+        <div class="career-highlights">
+          ${s.best ? `<span>Best: <strong>${s.best.total}</strong> (${escapeHtml(getCourseLabel(s.best.course))}, ${formatRoundDate(s.best.date)})</span>` : ''}
+          <span>⭐ Holes in one: <strong>${s.holeInOnes}</strong></span>
+          <span>🏆 Wins: <strong>${s.wins}</strong></span>
+        </div>
+        ${badgePanelHTML(s)}
+        <table class="scorecard">
+          <thead>
+            <tr><th>Course</th><th>Full rounds</th><th>Avg</th></tr>
+          </thead>
+          <tbody>${courseRows}</tbody>
+        </table>
+        ${holeTables}
+      </details>
+    `;
+  }).join('');
+}
+
+function showHistoryRound(id) {
+  const round = loadHistory().find(r => r.id === id);
+  const detail = $('historyDetail');
+  if (!round || !detail) return;
+
+  const title = $('historyDetailTitle');
+  if (title) {
+    title.textContent = `${getCourseLabel(round.course)} – ${formatRoundDate(round.date)}`;
+  }
+
+  // Totals are recomputed so replays never trust stored sums
+  const replay = {
+    ...round,
+    teams: isValidTeams(round.teams, round.players.length) ? round.teams : null,
+    // Keeps late and withdrawn players marked as such
+    players: restorePlayers(round.players, round.pars, round.maxStrokes)
+  };
+
+  buildLeaderboard(replay, $('historyWinner'), $('historyLeaderboard'));
+  // Rounds archived before the log was kept have none to show
+  const holes = getArchivedRoundHoles(round);
+  const log = Array.isArray(round.log) ? round.log.filter(entry => isValidLogEntry(entry, holes.length)) : [];
+  renderFinishedScoreLog($('historyScoreLog'), log, holes);
+  $('historyOverview')?.classList.add('hidden');
+  detail.classList.remove('hidden');
+  window.scrollTo(0, 0);
+}
+
+function hideHistoryRound() {
+  $('historyDetail')?.classList.add('hidden');
+  $('historyOverview')?.classList.remove('hidden');
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Course Report
+////////////////////////////////////////////////////////////////////////////////
+// How every hole of every course plays across the finished rounds on this
+// device, so staff can spot holes that play too hard (or too easy)
+
+// Score buckets for the distribution charts; the first matching bucket counts
+const scoreBuckets = [
+  { key: 'ace', label: 'Hole in one', test: s => s === 1 },
+  { key: 'under', label: 'Under par', test: (s, par) => s < par },
+  { key: 'par', label: 'Par', test: (s, par) => s === par },
+  { key: 'bogey', label: 'Bogey', test: (s, par) => s === par + 1 },
+  { key: 'double', label: 'Double bogey', test: (s, par) => s === par + 2 },
+  { key: 'worse', label: 'Worse', test: () => true }
+];
+
+/**
+ * Per-hole statistics for each course, from archived rounds
+ * @param {Object[]} rounds - Archived rounds, see loadHistory()
+ * @returns {Object[]} One report per course: { id, name, rounds, holes }, where each
+ *   hole has { hole, par, played, strokes, average, vsPar, distribution, holeInOnes, aceRate, rank }.
+ *   distribution counts scores by strokes; rank 1 is the hardest hole played.
+ */
+function getCourseReport(rounds) {
+  const reports = Object.values(courses).map(course => ({
+    id: course.id,
+    name: course.name,
+    rounds: 0,
+    holes: course.pars.map((par, i) => ({
+      hole: i + 1, par, played: 0, strokes: 0, average: null, vsPar: null,
+      distribution: {}, holeInOnes: 0, aceRate: null, rank: null
+    }))
+  }));
+  const byId = new Map(reports.map(r => [r.id, r]));
+
+  rounds.forEach(round => {
+    const holes = getArchivedRoundHoles(round);
+    // A scramble team's score is stored for every teammate, so count it once
+    const scorers = round.teams?.mode === 'scramble'
+      ? round.teams.list.map(t => round.players[t.members[0]]).filter(Boolean)
+      : round.players;
+    const played = new Set();
+
+    scorers.forEach(p => getPlayedScores(p).forEach((score, hi) => {
+      const hole = holes[hi] && byId.get(holes[hi].course)?.holes[holes[hi].hole - 1];
+      if (score === null || !hole) return;
+      hole.played++;
+      hole.strokes += score;
+      hole.distribution[score] = (hole.distribution[score] || 0) + 1;
+      if (score === 1) hole.holeInOnes++;
+      played.add(holes[hi].course);
+    }));
+    played.forEach(id => byId.get(id).rounds++);
+  });
+
+  reports.forEach(report => {
+    report.holes.forEach(h => {
+      if (!h.played) return;
+      h.average = h.strokes / h.played;
+      h.vsPar = h.average - h.par;
+      h.aceRate = h.holeInOnes / h.played;
+    });
+    report.holes.filter(h => h.played)
+      .sort((a, b) => b.vsPar - a.vsPar || b.average - a.average || a.hole - b.hole)
+      .forEach((h, i) => { h.rank = i + 1; });
+  });
+
+  return reports;
+}
+
+/**
+ * One row per hole, with a column for each stroke count seen
+ * @param {Object[]} reports - Output of getCourseReport()
+ * @returns {string} CSV text
+ */
+function getCourseReportCSV(reports) {
+  const holes = reports.flatMap(r => r.holes.map(h => ({ course: r, ...h })));
+  const maxSeen = Math.max(0, ...holes.flatMap(h => Object.keys(h.distribution).map(Number)));
+  const strokeColumns = Array.from({ length: maxSeen }, (_, i) => i + 1);
+
+  const rows = [
+    ['Course', 'Hole', 'Par', 'Played', 'Average', 'Vs par', 'Hole-in-one rate', 'Difficulty rank',
+      ...strokeColumns.map(n => `${n} stroke${n === 1 ? '' : 's'}`)],
+    ...holes.map(h => [
+      h.course.name,
+      h.hole,
+      h.par,
+      h.played,
+      h.average?.toFixed(2),
+      h.vsPar?.toFixed(2),
+      h.aceRate?.toFixed(3),
+      h.rank,
+      ...strokeColumns.map(n => h.distribution[n] || 0)
+    ])
+  ];
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function exportCourseReport(type) {
+  const reports = getCourseReport(loadHistory());
+  const blob = type === 'json'
+    ? new Blob([JSON.stringify({ generated: new Date().toISOString(), courses: reports }, null, 2)], { type: 'application/json' })
+    : new Blob([getCourseReportCSV(reports)], { type: 'text/csv' });
+  const date = new Date().toISOString().slice(0, 10);
+  shareFile(blob, `royal-mini-golf-course-report-${date}.${type === 'json' ? 'json' : 'csv'}`, 'Course report');
+}
+
+function formatVsPar(value) {
+  return `${value > 0 ? '+' : value < 0 ? '−' : '±'}${Math.abs(value).toFixed(2)}`;
+}
+
+// Bar per hole for strokes over (or under) par, and the spread of scores behind it
+function courseChartHTML(report) {
+  const played = report.holes.filter(h => h.played);
+  const scale = Math.max(0.5, ...played.map(h => Math.abs(h.vsPar)));
+
+  return `
+    <div class="difficulty-chart" aria-hidden="true">
+      ${report.holes.map(h => {
+        const counts = scoreBuckets.map(() => 0);
+        Object.entries(h.distribution).forEach(([strokes, n]) => {
+          counts[scoreBuckets.findIndex(b => b.test(Number(strokes), h.par))] += n;
+        });
+        return `
+          <div class="difficulty-row">
+            <span class="difficulty-hole">${h.hole}</span>
+            <span class="difficulty-bar">
+              ${h.played ? `<span class="${h.vsPar > 0 ? 'over' : 'under'}" style="width: ${Math.abs(h.vsPar) / scale * 50}%"></span>` : ''}
+            </span>
+            <span class="difficulty-value">${h.played ? formatVsPar(h.vsPar) : '–'}</span>
+            <span class="distribution-bar">
+              ${counts.map((n, i) => n ? `<span class="bucket-${scoreBuckets[i].key}" style="width: ${n / h.played * 100}%"></span>` : '').join('')}
+            </span>
+          </div>
+        `;
+      }).join('')}
+    </div>
+    <div class="distribution-legend" aria-hidden="true">
+      ${scoreBuckets.map(b => `<span><i class="bucket-${b.key}"></i>${b.label}</span>`).join('')}
+    </div>
+  `;
+}
+
+function renderCourseReport() {
+  const panel = $('courseReport');
+  if (!panel) return;
+
+  const reports = getCourseReport(loadHistory()).filter(r => r.rounds > 0);
+  if (reports.length === 0) {
+    panel.innerHTML = '<p class="history-empty">Finish a round to see how the holes are playing.</p>';
+    return;
+  }
+
+  panel.innerHTML = `
+    <div class="export-actions">
+      <button class="btn secondary compact" type="button" onclick="exportCourseReport('csv')">📄 CSV</button>
+      <button class="btn secondary compact" type="button" onclick="exportCourseReport('json')">🧾 JSON</button>
+    </div>
+  ` + reports.map(report => {
+    const ranked = report.holes.filter(h => h.rank).sort((a, b) => a.rank - b.rank);
+    return `
+      <details class="career-card course-report-card">
+        <summary>
+          <span>${escapeHtml(getCourseLabel(report.id))}</span>
+          <span class="career-rounds">${report.rounds} round${report.rounds === 1 ? '' : 's'}</span>
+        </summary>
+        <div class="career-highlights">
+          <span>Hardest: <strong>Hole ${ranked[0].hole}</strong> (${formatVsPar(ranked[0].vsPar)} vs par)</span>
+          <span>Easiest: <strong>Hole ${ranked[ranked.length - 1].hole}</strong> (${formatVsPar(ranked[ranked.length - 1].vsPar)} vs par)</span>
+        </div>
+        ${courseChartHTML(report)}
+        <table class="scorecard">
+          <caption>Holes from hardest to easiest</caption>
+          <thead>
+            <tr><th>#</th><th>Hole</th><th>Par</th><th>Avg</th><th>+/−</th><th>Aces</th><th>Played</th></tr>
+          </thead>
+          <tbody>
+            ${ranked.map(h => `
+              <tr>
+                <td>${h.rank}</td>
+                <td>${h.hole}</td>
+                <td>${h.par}</td>
+                <td>${h.average.toFixed(2)}</td>
+                <td>${formatVsPar(h.vsPar)}</td>
+                <td>${(h.aceRate * 100).toFixed(1)}%</td>
+                <td>${h.played}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </details>
+    `;
+  }).join('');
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Course Admin
+////////////////////////////////////////////////////////////////////////////////
+// Staff edit pars, hole names and stories behind a PIN. Edits are kept on this
+// device on top of holes.ini (see applyCourseManifest()) and exported as a new
+// holes.ini to deploy. The PIN keeps players out of the editor; it is stored as
+// a hash but is no protection against someone with the device's dev tools. A
+// device has no PIN until staff set one on purpose, see setAdminPin().
+const ADMIN_PIN_PATTERN = /^[0-9]{4,8}$/;
+const MAX_HOLE_NAME_LENGTH = 40;
+
+let adminUnlocked = false;
+let adminSettingPin = false; // choosing the PIN on a device that has none
+let adminDraft = null; // parseINI() of the manifest being edited
+let adminCourse = null; // id of the course being edited
+let adminPreviewHole = 1;
+
+function showAdmin() {
+  const section = $('adminSection');
+  if (!section) return;
+
+  $('historySection')?.classList.remove('active');
+  section.classList.add('active');
+  renderAdmin();
+  window.scrollTo(0, 0);
+  history.pushState({ view: 'admin' }, '', '#admin');
+}
+
+function hideAdmin() {
+  if (window.location.hash === '#admin') {
+    // popstate handler closes the screen
+    history.back();
+  } else {
+    closeAdmin();
+  }
+}
+
+// Locks again and returns to the history screen it was opened from
+function closeAdmin() {
+  adminUnlocked = false;
+  adminSettingPin = false;
+  adminDraft = null;
+  $('adminSection')?.classList.remove('active');
+  $('historySection')?.classList.add('active');
+  renderCourseReport();
+}
+
+function getAdminPinHash() {
+  try {
+    return localStorage.getItem(ADMIN_PIN_KEY);
+  } catch (e) {
+    console.error('Failed to access localStorage:', e);
+    return null;
+  }
+}
+
+// SHA-256 round constants (FIPS 180-4)
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+/**
+ * SHA-256 of a string, for plain http on the local network where browsers leave
+ * out crypto.subtle. Gives the same hex as hashAdminPin() does with it.
+ * @param {string} text - Text to hash as UTF-8
+ * @returns {string} Hex digest
+ */
+function sha256Hex(text) {
+  const bytes = new TextEncoder().encode(text);
+  const words = new Uint32Array((((bytes.length + 8) >> 6) + 1) << 4);
+  bytes.forEach((b, i) => { words[i >> 2] |= b << (24 - i % 4 * 8); });
+  words[bytes.length >> 2] |= 0x80 << (24 - bytes.length % 4 * 8);
+  words[words.length - 1] = bytes.length * 8;
+
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  const w = new Uint32Array(64);
+  const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+  for (let block = 0; block < words.length; block += 16) {
+    for (let i = 0; i < 64; i++) {
+      w[i] = i < 16 ? words[block + i]
+        : w[i - 16] + (rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3)) +
+          w[i - 7] + (rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10));
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      [h, g, f, e, d, c, b, a] = [g, f, e, (d + t1) | 0, c, b, a, (t1 + t2) | 0];
+    }
+    [a, b, c, d, e, f, g, h].forEach((x, i) => { hash[i] = (hash[i] + x) | 0; });
+  }
+
+  return hash.map(x => (x >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+function hashAdminPin(pin) {
+  const text = `royal-mini-golf:${pin}`;
+  if (!window.crypto?.subtle) return Promise.resolve(sha256Hex(text));
+
+  return crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+    .then(buf => Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, '0')).join(''));
+}
+
+function openAdminEditor() {
+  adminUnlocked = true;
+  adminSettingPin = false;
+  adminDraft = parseINI(courseManifestText);
+  adminCourse = getDefaultCourse();
+  adminPreviewHole = 1;
+  renderAdmin();
+}
+
+function unlockAdmin(event) {
+  event.preventDefault();
+  const pin = $('adminPin')?.value ?? '';
+  const stored = getAdminPinHash();
+  if (!stored) return;
+
+  if (!ADMIN_PIN_PATTERN.test(pin)) {
+    showToast('The PIN is 4 to 8 digits', 'warning');
+    return;
+  }
+
+  hashAdminPin(pin).then(hash => {
+    if (hash !== stored) {
+      showToast('Wrong PIN', 'error');
+      $('adminPin').value = '';
+      return;
+    }
+    openAdminEditor();
+  }).catch(err => {
+    console.error('Failed to check admin PIN:', err);
+    showToast('Could not check the PIN', 'error');
+  });
+}
+
+function startAdminPinSetup(setting = true) {
+  adminSettingPin = setting;
+  renderAdmin();
+}
+
+// Choosing the PIN is its own step, confirmed, so opening admin never sets one
+function setAdminPin(event) {
+  event.preventDefault();
+  const pin = $('adminPin')?.value ?? '';
+  if (getAdminPinHash()) return;
+
+  if (!ADMIN_PIN_PATTERN.test(pin)) {
+    showToast('The PIN is 4 to 8 digits', 'warning');
+    return;
+  }
+  if ($('adminPinRepeat')?.value !== pin) {
+    showToast('The PINs don\'t match', 'warning');
+    return;
+  }
+
+  showConfirm({
+    title: 'Set the staff PIN?',
+    message: 'Course editing on this device will need this PIN from now on. It can only be reset by clearing the app\'s data in the browser.',
+    confirmLabel: 'Set PIN'
+  }).then(ok => {
+    if (!ok) return null;
+    return hashAdminPin(pin).then(hash => {
+      try {
+        localStorage.setItem(ADMIN_PIN_KEY, hash);
+      } catch (e) {
+        console.error('Failed to save admin PIN:', e);
+        showToast('Could not save the PIN on this device', 'error');
+        return;
+      }
+      showToast('Staff PIN set', 'success');
+      openAdminEditor();
+    });
+  }).catch(err => {
+    console.error('Failed to set admin PIN:', err);
+    showToast('Could not set the PIN', 'error');
+  });
+}
+
+function renderAdmin() {
+  const content = $('adminContent');
+  if (!content) return;
+
+  if (!adminUnlocked && getAdminPinHash()) {
+    content.innerHTML = `
+      <form class="admin-lock" onsubmit="unlockAdmin(event)">
+        <p>Enter the staff PIN to edit courses.</p>
+        <input type="password" id="adminPin" inputmode="numeric" maxlength="8" autocomplete="off" aria-label="Staff PIN" placeholder="PIN">
+        <button class="btn primary" type="submit">🔓 Unlock</button>
+      </form>
+    `;
+    $('adminPin')?.focus();
+    return;
+  }
+
+  if (!adminUnlocked && adminSettingPin) {
+    content.innerHTML = `
+      <form class="admin-lock" onsubmit="setAdminPin(event)">
+        <p>Choose a staff PIN of 4 to 8 digits. Anyone who knows it can change pars and stories on this device.</p>
+        <input type="password" id="adminPin" inputmode="numeric" maxlength="8" autocomplete="off" aria-label="New staff PIN" placeholder="New PIN">
+        <input type="password" id="adminPinRepeat" inputmode="numeric" maxlength="8" autocomplete="off" aria-label="Repeat the PIN" placeholder="Repeat PIN">
+        <button class="btn primary" type="submit">🔑 Set PIN</button>
+        <button class="btn secondary compact" type="button" onclick="startAdminPinSetup(false)">Cancel</button>
+      </form>
+    `;
+    $('adminPin')?.focus();
+    return;
+  }
+
+  if (!adminUnlocked) {
+    content.innerHTML = `
+      <div class="admin-lock">
+        <p>No staff PIN has been set on this device, so course editing is off.</p>
+        <button class="btn primary" type="button" onclick="startAdminPinSetup()">🔑 Set a staff PIN</button>
+      </div>
+    `;
+    return;
+  }
+
+  if (!adminDraft[adminCourse]) {
+    content.innerHTML = '<p class="history-empty">No courses to edit.</p>';
+    return;
+  }
+
+  const section = adminDraft[adminCourse];
+  const pars = getAdminPars(section);
+  const edits = loadCourseEdits();
+
+  content.innerHTML = `
+    <label for="adminCourse">Course</label>
+    <select id="adminCourse" onchange="selectAdminCourse(this.value)">
+      ${Object.keys(courses).map(id =>
+        `<option value="${id}" ${id === adminCourse ? 'selected' : ''}>${escapeHtml(getCourseLabel(id))}</option>`
+      ).join('')}
+    </select>
+    <div id="adminPreview" class="admin-preview" aria-label="Preview"></div>
+    <div class="admin-holes">
+      ${pars.map((par, i) => {
+        const hole = i + 1;
+        return `
+          <fieldset class="admin-hole" onfocusin="previewAdminHole(${hole})">
+            <legend>Hole ${hole}</legend>
+            <label>Par
+              <input type="number" min="1" max="${MAX_HOLE_PAR}" inputmode="numeric" value="${escapeHtml(par)}"
+                oninput="editAdminHole(${hole}, 'par', this.value)">
+            </label>
+            <label>Name
+              <input type="text" maxlength="${MAX_HOLE_NAME_LENGTH}" value="${escapeHtml(section[`${hole}.name`] ?? '')}"
+                placeholder="Optional" oninput="editAdminHole(${hole}, 'name', this.value)">
+            </label>
+            <label>Story
+              <textarea rows="3" oninput="editAdminHole(${hole}, 'story', this.value)">${escapeHtml(section[hole] ?? '')}</textarea>
+            </label>
+          </fieldset>
+        `;
+      }).join('')}
+    </div>
+    <p class="admin-status">
+      ${edits ? '✏️ Edited on this device – in use here until holes.ini is redeployed.' : 'Showing holes.ini as deployed.'}
+    </p>
+    ${courseWarnings.length > 0 ? `
+      <details class="admin-warnings">
+        <summary>⚠️ ${courseWarnings.length} warning${courseWarnings.length > 1 ? 's' : ''} in the course manifest</summary>
+        <ul>${courseWarnings.map(msg => `<li>${escapeHtml(msg)}</li>`).join('')}</ul>
+      </details>
+    ` : ''}
+    <div class="export-actions">
+      <button class="btn primary compact" type="button" onclick="saveAdminEdits()">💾 Save on this device</button>
+      <button class="btn secondary compact" type="button" onclick="exportCourseManifest()">📄 Export holes.ini</button>
+      ${edits ? '<button class="btn secondary compact danger" type="button" onclick="discardAdminEdits()">↩️ Discard edits</button>' : ''}
+    </div>
+  `;
+  renderAdminPreview();
+}
+
+function getAdminPars(section) {
+  return String(section.pars ?? '').split(',').map(p => p.trim());
+}
+
+function selectAdminCourse(id) {
+  if (!adminDraft[id]) return;
+  adminCourse = id;
+  adminPreviewHole = 1;
+  renderAdmin();
+}
+
+// Blank names and stories are left out of the file
+function editAdminHole(hole, field, value) {
+  const section = adminDraft[adminCourse];
+  if (field === 'par') {
+    const pars = getAdminPars(section);
+    pars[hole - 1] = value.trim();
+    section.pars = pars.join(', ');
+  } else {
+    const key = field === 'name' ? `${hole}.name` : String(hole);
+    if (value.trim()) {
+      section[key] = value;
+    } else {
+      delete section[key];
+    }
+  }
+  previewAdminHole(hole);
+}
+
+function previewAdminHole(hole) {
+  adminPreviewHole = hole;
+  renderAdminPreview();
+}
+
+// The hole as renderHole() lays it out, from the draft
+function renderAdminPreview() {
+  const preview = $('adminPreview');
+  const section = adminDraft?.[adminCourse];
+  if (!preview || !section) return;
+
+  const pars = getAdminPars(section);
+  const hole = adminPreviewHole;
+  const name = section[`${hole}.name`];
+  preview.innerHTML = `
+    <div class="hole-header">
+      <h2>Hole ${hole}</h2>
+      ${name ? `<div class="hole-name">${escapeHtml(name)}</div>` : ''}
+      <div class="hole-story expanded">${escapeHtml(section[hole] || 'Your quest continues...')}</div>
+      <div class="hole-progress">${escapeHtml(section.name ?? '')} – Hole ${hole} (Par ${escapeHtml(pars[hole - 1])}) · ${hole} of ${pars.length}</div>
+    </div>
+  `;
+}
+
+// Course settings first, then the holes in order: a hole's name, then its story
+function orderCourseSection(section) {
+  const rank = key => {
+    const [, number, field] = key.match(/^(\d+)(?:\.(name))?$/) || [];
+    return number ? Number(number) * 2 + (field ? 0 : 1) : 0;
+  };
+  return Object.entries(section).sort(([a], [b]) => rank(a) - rank(b));
+}
+
+/**
+ * The draft as a holes.ini file, keeping the deployed file's comment header
+ * @returns {string|null} Manifest text, or null (after saying why) if a course no longer loads
+ */
+function getAdminManifest() {
+  const header = courseManifestBase.match(/^(?:[ \t]*(?:;.*)?\r?\n)*/)[0];
+  const manifest = serializeINI(Object.fromEntries(
+    Object.entries(adminDraft).map(([id, section]) => [id, orderCourseSection(section)])
+  ), header);
+
+  // Sections that were broken before are left for whoever deploys the file
+  const { errors } = parseCourseManifest(parseINIDocument(manifest));
+  const problems = errors.filter(msg => Object.keys(courses).some(id => msg.includes(`[${id}] `)));
+  if (problems.length > 0) {
+    showToast('Fix the course before saving', 'error', { detail: problems[0] });
+    return null;
+  }
+  return manifest;
+}
+
+function saveAdminEdits() {
+  const manifest = getAdminManifest();
+  if (manifest === null) return;
+
+  // Edits that only restore the deployed courses are dropped rather than kept
+  const sameCourses = (a, b) =>
+    JSON.stringify(parseCourseManifest(parseINIDocument(a)).courses) === JSON.stringify(parseCourseManifest(parseINIDocument(b)).courses);
+  try {
+    if (sameCourses(manifest, courseManifestBase)) {
+      localStorage.removeItem(COURSE_EDITS_KEY);
+    } else {
+      localStorage.setItem(COURSE_EDITS_KEY, JSON.stringify({ base: courseManifestBase, manifest }));
+    }
+  } catch (e) {
+    console.error('Failed to save course edits:', e);
+    showToast('Could not save the changes on this device', 'error');
+    return;
+  }
+
+  applyCourseManifest(courseManifestBase);
+  refreshCourseViews();
+  renderAdmin();
+  showToast('Course changes saved on this device', 'success');
+}
+
+function discardAdminEdits() {
+  showConfirm({
+    title: 'Discard course edits?',
+    message: 'This device goes back to holes.ini as deployed.',
+    confirmLabel: 'Discard',
+    danger: true
+  }).then(ok => {
+    if (!ok) return;
+    clearCourseEdits();
+    applyCourseManifest(courseManifestBase);
+    adminDraft = parseINI(courseManifestText);
+    if (!adminDraft[adminCourse]) adminCourse = getDefaultCourse();
+    refreshCourseViews();
+    renderAdmin();
+    showToast('Course edits discarded', 'info');
+  });
+}
+
+function exportCourseManifest() {
+  const manifest = getAdminManifest();
+  if (manifest === null) return;
+  shareFile(new Blob([manifest], { type: 'text/plain' }), 'holes.ini', 'Course manifest');
+}
+
+// Pars and stories show up in the game in progress and in the picker straight away
+function refreshCourseViews() {
+  if (gameStarted) {
+    showCourseDisplay();
+    renderHole();
+  } else if (!$('playerSetup')?.classList.contains('hidden')) {
+    showCourseSelection();
+  }
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// TV Mode
+////////////////////////////////////////////////////////////////////////////////
+// Front-desk board (?mode=tv): best rounds per course for today, this week and
+// all time plus recent holes in one, rotating on its own. Rounds come from this
+// device's history, or from an exported archive given as ?data=<file.json>.
+const tvPeriods = [
+  { label: "Today's best", since: () => new Date().setHours(0, 0, 0, 0) },
+  { label: 'Best this week', since: () => Date.now() - 7 * 24 * 60 * 60 * 1000 },
+  { label: 'All-time best', since: () => 0 }
+];
+
+let tvSlides = [];
+let tvIndex = 0;
+
+function isTvMode() {
+  return new URLSearchParams(window.location.search).get('mode') === 'tv';
+}
+
+function loadTvRounds() {
+  const source = new URLSearchParams(window.location.search).get('data');
+  if (!source) return Promise.resolve(loadHistory());
+
+  return fetch(source, { cache: 'no-store' })
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status} loading ${source}`);
+      return response.json();
+    })
+    .then(parseHistoryArchive);
+}
+
+// Individual rounds count; scramble scores belong to a team
+function isTvRound(round, since) {
+  const time = new Date(round.date).getTime();
+  return round.teams?.mode !== 'scramble' && time >= since && isFullCourseRound(round);
+}
+
+/**
+ * Best finished full-course rounds on one course
+ * @param {Array} rounds - Archived rounds, newest first
+ * @param {string} courseId - Course to rank
+ * @param {number} since - Earliest round time (ms)
+ * @returns {Array} Entries ({ name, total, toPar, date, rank }), lowest first
+ */
+function getTvBoard(rounds, courseId, since) {
+  const entries = [];
+
+  rounds.filter(r => r.course === courseId && isTvRound(r, since)).forEach(round => {
+    const par = round.pars.reduce((a, b) => a + b, 0);
+    round.players.forEach(p => {
+      if (!getPlayedScores(p).every(s => isValidScore(s))) return;
+      const total = p.scores.reduce((a, b) => a + b, 0);
+      entries.push({ name: p.name, total, toPar: total - par, date: round.date });
+    });
+  });
+
+  // Equal totals: whoever got there first stays ahead
+  entries.sort((a, b) => a.total - b.total || a.date.localeCompare(b.date));
+  const top = entries.slice(0, TV_BOARD_SIZE);
+  top.forEach((entry, i) => {
+    entry.rank = i > 0 && top[i - 1].total === entry.total ? top[i - 1].rank : i + 1;
+  });
+  return top;
+}
+
+function getRecentAces(rounds) {
+  const aces = [];
+
+  rounds.filter(r => r.teams?.mode !== 'scramble').forEach(round => {
+    const holes = getArchivedRoundHoles(round);
+    round.players.forEach(p => getPlayedScores(p).forEach((score, hi) => {
+      if (score === 1 && holes[hi]) aces.push({ name: p.name, course: holes[hi].course, hole: holes[hi].hole, date: round.date });
+    }));
+  });
+
+  return aces.slice(0, TV_ACES_SHOWN);
+}
+
+function buildTvSlides(rounds) {
+  const slides = [];
+
+  Object.keys(courses).forEach(id => {
+    tvPeriods.forEach(period => {
+      const entries = getTvBoard(rounds, id, period.since());
+      if (entries.length > 0) slides.push({ course: id, title: period.label, entries });
+    });
+  });
+
+  const aces = getRecentAces(rounds);
+  if (aces.length > 0) slides.push({ title: '⭐ Recent holes in one', aces });
+
+  return slides;
+}
+
+function tvSlideHTML(slide) {
+  if (!slide) {
+    return `
+      <h2 class="tv-title">Be the first on the board!</h2>
+      <p class="tv-empty">Finish a quest to see the best rounds here.</p>
+    `;
+  }
+
+  if (slide.aces) {
+    return `
+      <h2 class="tv-title">${slide.title}</h2>
+      <ol class="tv-list">
+        ${slide.aces.map(a => `
+          <li>
+            <span class="tv-name">${escapeHtml(a.name)}</span>
+            <span class="tv-detail">${escapeHtml(getCourseLabel(a.course))} · Hole ${a.hole}</span>
+            <span class="tv-date">${formatRoundDate(a.date)}</span>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+  }
+
+  return `
+    <h2 class="tv-title">${escapeHtml(getCourseLabel(slide.course))}</h2>
+    <p class="tv-subtitle">${slide.title}</p>
+    <ol class="tv-list">
+      ${slide.entries.map(e => `
+        <li class="${e.rank === 1 ? 'tv-leader' : ''}">
+          <span class="tv-rank">${e.rank}</span>
+          <span class="tv-name">${escapeHtml(e.name)}</span>
+          <span class="tv-total">${e.total}</span>
+          <span class="tv-detail">${formatParDiff(e.toPar)}</span>
+        </li>
+      `).join('')}
+    </ol>
+  `;
+}
+
+function renderTvSlide() {
+  const slideEl = $('tvSlide');
+  const dots = $('tvDots');
+  if (!slideEl) return;
+
+  slideEl.innerHTML = tvSlideHTML(tvSlides[tvIndex]);
+  if (dots) {
+    dots.innerHTML = tvSlides.map((s, i) => `<span class="${i === tvIndex ? 'active' : ''}"></span>`).join('');
+  }
+}
+
+// Rounds are reloaded at the start of every rotation
+function refreshTvBoard() {
+  return loadTvRounds()
+    .then(rounds => {
+      tvSlides = buildTvSlides(rounds);
+    })
+    .catch(err => {
+      console.error('Failed to load rounds for the TV board:', err);
+    })
+    .then(() => {
+      if (tvIndex >= tvSlides.length) tvIndex = 0;
+      renderTvSlide();
+    });
+}
+
+function nextTvSlide() {
+  tvIndex++;
+  if (tvIndex >= tvSlides.length) {
+    tvIndex = 0;
+    refreshTvBoard();
+  } else {
+    renderTvSlide();
+  }
+}
+
+function updateTvClock() {
+  const clock = $('tvClock');
+  if (clock) clock.textContent = new Date().toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+}
+
+function startTvMode() {
+  document.body.classList.add('tv-mode');
+  refreshTvBoard();
+  updateTvClock();
+
+  setInterval(nextTvSlide, TV_ROTATE_MS);
+  setInterval(updateTvClock, 1000);
+
+  // Rounds finished in another tab on this device show up straight away
+  window.addEventListener('storage', e => {
+    if (e.key === HISTORY_KEY) refreshTvBoard();
+  });
+
+  // Keep the screen on where the browser allows it
+  const keepAwake = () => navigator.wakeLock?.request('screen').catch(err => console.warn('Wake lock unavailable:', err));
+  keepAwake();
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') keepAwake();
+  });
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Mobile Button Bar
+////////////////////////////////////////////////////////////////////////////////
+function updateMobileButtons() {
+  const bar = $('mobileButtonBar');
+  const grid = $('buttonGrid');
+  const container = $$('.container');
+
+  if (!bar || !grid || !container) {
+    console.warn('Mobile button bar elements not found');
+    return;
+  }
+
+  if (!gameStarted) {
+    bar.classList.remove('active');
+    container.classList.remove('gameplay');
+    return;
+  }
+
+  bar.classList.add('active');
+  container.classList.add('gameplay');
+
+  const isFirstHole = currentHole === 0 && !playoff;
+  const isLastHole = currentHole === getHoleCount() - 1;
+  const allScoresEntered = playoff
+    ? getPlayoffHole().contenders.every(i => isValidScore(getPlayoffHole().scores[i]))
+    : isHoleComplete(game.round, currentHole);
+
+  // Back button always navigates back - to previous hole or to setup on hole 1
+  grid.innerHTML = `
+    <button class="mobile-btn nav" onclick="${isFirstHole ? 'goBackToSetup()' : 'previousHole()'}">
+      <span class="icon">←</span>
+      <span>${isFirstHole ? 'Back' : 'Previous'}</span>
+    </button>
+    <button class="mobile-btn secondary" onclick="showScorecards()">
+      <span class="icon">📊</span>
+      <span>Scores</span>
+    </button>
+    <button class="mobile-btn primary" onclick="nextHole()" ${allScoresEntered ? '' : 'disabled'}>
+      <span class="icon">${isLastHole ? '🏆' : '→'}</span>
+      <span>${isLastHole ? 'Finish' : 'Next'}</span>
+    </button>
+  `;
+}
+
+// Back from hole 1 goes to setup. A round with scores is put on hold there to be
+// resumed later (see suspendRound()); setup keeps its players and options for a
+// new round either way.
+function goBackToSetup() {
+  const suspended = players.some(p => p.scores.some(s => s !== null)) ? suspendRound() : null;
+  if (suspended) {
+    showToast(`Round on hole ${formatHoleLabel(roundHoles, suspended.hole)} put on hold – resume it here any time`);
+  }
+
+  gameStarted = false;
+  clearUndo();
+
+  const container = $$('.container');
+  const bar = $('mobileButtonBar');
+  const holePlay = $('holePlay');
+  const playerSetup = $('playerSetup');
+  const inputsContainer = $('playerInputs');
+
+  if (container) container.classList.remove('gameplay');
+  if (bar) bar.classList.remove('active');
+  if (holePlay) holePlay.classList.remove('active');
+
+  // Show setup with current players
+  showCourseSelection();
+  if (playerSetup) playerSetup.classList.remove('hidden');
+
+  const netToggle = $('netScoring');
+  if (netToggle) netToggle.checked = scoringMode === 'net';
+  const formatSelect = $('scoringFormat');
+  if (formatSelect) formatSelect.value = scoringFormat;
+  const tiebreakerSelect = $('tiebreaker');
+  if (tiebreakerSelect) tiebreakerSelect.value = tiebreaker;
+  const maxStrokesSelect = $('maxStrokes');
+  if (maxStrokesSelect) maxStrokesSelect.value = maxStrokes;
+  const teamSelect = $('teamMode');
+  if (teamSelect) teamSelect.value = teams ? teams.mode : '';
+  const eventInput = $('eventCode');
+  if (eventInput) eventInput.value = liveEvent ? liveEvent.code : '';
+  leaveLiveEvent();
+
+  // Restore player names in inputs
+  if (inputsContainer && players && players.length > 0) {
+    inputsContainer.innerHTML = players.map((p, i) =>
+      playerInputHTML(i + 1, p.name, p.handicap || '', getPlayerTeam(i)?.name ?? '')
+    ).join('');
+  }
+  updateTeamInputsVisibility();
+
+  // Clear URL hash
+  history.replaceState({}, '', window.location.pathname);
+
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (e) {
+    console.error('Failed to clear localStorage:', e);
+  }
+  renderSuspendedRounds();
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Modal Functions
+////////////////////////////////////////////////////////////////////////////////
+function showScorecards() {
+  const modal = $('scorecardModal');
+
+  if (!modal) {
+    console.error('Scorecard modal elements not found');
+    return;
+  }
+
+  if (!renderScorecards()) return;
+
+  modal.classList.add('active');
+  modal.setAttribute('aria-hidden', 'false');
+  document.body.style.overflow = 'hidden';
+  history.pushState({ modal: 'scorecards' }, '', '#scorecards');
+}
+
+/**
+ * Fill the scorecard modal for the game in progress
+ * @returns {boolean} Whether there was anything to show
+ */
+function renderScorecards() {
+  const content = $('scorecardModalContent');
+
+  if (!content) {
+    console.error('Scorecard modal elements not found');
+    return false;
+  }
+
+  if (!players || players.length === 0) {
+    content.innerHTML = '<p>No player data available.</p>';
+    return false;
+  }
+
+  if (!isValidCourse(currentCourse)) {
+    console.error('Invalid course for scorecards');
+    return false;
+  }
+
+  const round = getCurrentRound();
+  const ranked = getRankedRound(round);
+  const standings = getStandings(ranked);
+  const pars = getRoundPars();
+
+  // Scramble teams get one scorecard each; otherwise players keep their own cards,
+  // which only carry ranks and format results when players are the ones ranked
+  const scramble = teams?.mode === 'scramble';
+  const cards = scramble ? ranked.players : players;
+  const showRanks = !teams || scramble;
+  const net = scoringMode === 'net' && !scramble;
+  const formatColumn = showRanks ? formatColumnHeaders[standings.format] : null;
+
+  let summaryHTML = standings.format === 'stroke' ? '' : `
+    <div class="format-standings">
+      <strong>${scoringFormats[standings.format].label}</strong>
+      ${standings.status ? `<span>${escapeHtml(standings.status)}</span>` : ''}
+      <ol>
+        ${standings.entries.map(e => `<li>#${formatRank(e)} ${escapeHtml(e.player.name)} – ${e.text}</li>`).join('')}
+      </ol>
+    </div>
+  `;
+  if (teams) {
+    summaryHTML = `<div class="format-standings team-standings">${teamStandingsHTML(ranked, standings, currentHole)}</div>`;
+  }
+
+  const live = liveBoardHTML();
+  const liveHTML = liveEvent ? `<div class="format-standings live-board-panel ${live ? '' : 'hidden'}">${live}</div>` : '';
+
+  // Roster edits redraw the modal; keep the panel open through them
+  const rosterHTML = rosterPanelHTML(Boolean(content.querySelector('.roster-panel')?.open));
+
+  const handoffHTML = `
+    <details class="handoff-panel" ontoggle="renderRoundHandoff(this)">
+      <summary>📲 Hand off to another phone</summary>
+      <div class="handoff-body"></div>
+    </details>
+  `;
+
+  content.innerHTML = exportActionsHTML() + rosterHTML + handoffHTML + scoreLogHTML() + liveHTML + summaryHTML + maxStrokesNoteHTML(round) + cards.map((player, index) => {
+    const entry = showRanks ? standings.entries.find(e => e.index === index) : null;
+    const editing = playoff ? null : scramble ? teams.list[index].members : [index];
+    const rank = entry ? formatRank(entry) : null;
+    const team = scramble ? null : getPlayerTeam(index);
+    const strokes = getHandicapStrokes(net ? player.handicap : 0, pars.length);
+    let parPlayed = 0;
+
+    for (let i = 0; i < pars.length; i++) {
+      if (player.scores[i] !== null) {
+        parPlayed += pars[i];
+      }
+    }
+
+    const rows = player.scores.map((score, hi) => {
+      const par = pars[hi];
+      const isCurrent = hi === currentHole;
+      const d = score !== null ? score - strokes[hi] - par : null;
+      const diffText = d === null ? '–' : formatParDiff(d);
+
+      const missed = !scramble && !isPlayingHole(player, hi);
+
+      return `
+        <tr class="${isCurrent ? 'current-hole-row' : ''} ${missed ? 'missed-hole-row' : ''}">
+          <td>${formatHoleLabel(roundHoles, hi)}${isCurrent ? ' 📍' : ''}</td>
+          <td>${par}</td>
+          <td>${scoreEditHTML(editing, hi, scoreCellHTML(scramble ? ranked : round, hi, score))}</td>
+          ${net ? `<td>${score === null ? '–' : score - strokes[hi]}</td>` : ''}
+          <td>${diffText}</td>
+          ${formatColumn ? `<td>${getFormatHoleCell(standings, ranked, index, hi)}</td>` : ''}
+        </tr>
+      `;
+    }).join('');
+
+    return `
+      <div class="modal-scorecard">
+        <h3>${rank ? `#${rank} – ` : hasWithdrawn(player) ? 'WD – ' : ''}${escapeHtml(player.name)}${team ? ` <small>(${escapeHtml(team.name)})</small>` : ''}${net ? ` <small>(HCP ${player.handicap || 0})</small>` : ''}</h3>
+        ${player.members ? `<div class="team-members">${player.members.map(m => escapeHtml(m.name)).join(', ')}</div>` : rosterNoteHTML(roundHoles, player, !teams)}
+        <table class="scorecard">
+          <thead>
+            <tr><th>Hole</th><th>Par</th><th>Score</th>${net ? '<th>Net</th>' : ''}<th>+/−</th>${formatColumn ? `<th>${formatColumn}</th>` : ''}</tr>
+          </thead>
+          <tbody>
+            ${rows}
+            <tr class="total-row">
+              <td><strong>Total</strong></td>
+              <td><strong>${parPlayed}</strong></td>
+              <td><strong>${player.total}</strong></td>
+              ${net ? `<td><strong>${getNetTotal(player)}</strong></td>` : ''}
+              <td><strong>${getParDifferential(scramble ? ranked : round, player, net)}</strong></td>
+              ${formatColumn ? `<td><strong>${entry ? entry.text : '–'}</strong></td>` : ''}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    `;
+  }).join('');
+
+  return true;
+}
+
+function hideScorecards() {
+  // Opened with its own history entry: going back closes it in the popstate
+  // handler, which would otherwise take the closed modal's back as a hole back
+  if (window.location.hash === '#scorecards') {
+    history.back();
+    return;
+  }
+  closeScorecardModal();
+}
+
+function closeScorecardModal() {
+  const modal = $('scorecardModal');
+  if (modal) {
+    modal.classList.remove('active');
+    modal.setAttribute('aria-hidden', 'true');
+  }
+  document.body.style.overflow = '';
+}
+
+/**
+ * Scorecard cell that can be tapped to correct the score
+ * @param {number[]|null} indices - Players the cell scores (a scramble team's members), or null if read-only
+ * @param {number} hi - Hole index
+ * @param {string} content - Cell HTML
+ * @returns {string} HTML
+ */
+function scoreEditHTML(indices, hi, content) {
+  if (!indices) return content;
+  const who = indices.map(idx => players[idx]?.name ?? '').join(', ');
+  return `<button type="button" class="score-edit" data-players="${indices.join(',')}" data-hole="${hi}"
+    onclick="editScoreCell(this)" aria-label="${escapeHtml(`Change ${who}'s score on hole ${formatHoleLabel(roundHoles, hi)}`).replace(/"/g, '&quot;')}">${content}</button>`;
+}
+
+// Swap the cell for a score picker until a score is chosen or it loses focus
+function editScoreCell(button) {
+  const hi = Number(button.dataset.hole);
+  const all = button.dataset.players.split(',').map(Number);
+  if (!all.every(idx => players[idx]) || !roundHoles[hi]) return;
+  // A scramble score goes to the teammates who played the hole
+  const playing = all.filter(idx => isPlayingHole(players[idx], hi));
+  const indices = all.length > 1 && playing.length > 0 ? playing : all;
+
+  const current = players[indices[0]].scores[hi];
+  let blank = `<option value="" ${current === null ? 'selected' : ''}>–</option>`;
+  // A finished round can be corrected but not have scores taken away
+  if (!gameStarted) blank = current === null ? '<option value="" selected disabled>–</option>' : '';
+  const select = document.createElement('select');
+  select.className = 'score-edit-select';
+  select.setAttribute('aria-label', button.getAttribute('aria-label'));
+  select.innerHTML = blank +
+    getScoreOptions(getRoundHole(hi).par).map(o =>
+      `<option value="${o.value}" ${o.value === current ? 'selected' : ''}>${o.value}</option>`
+    ).join('');
+
+  let chosen = false;
+  select.addEventListener('change', () => {
+    chosen = true;
+    const strokes = select.value === '' ? null : Number(select.value);
+    if (indices.some(idx => players[idx].scores[hi] !== strokes)) recordScore(indices, strokes, hi);
+  });
+  select.addEventListener('blur', () => {
+    if (!chosen && select.isConnected) select.replaceWith(button);
+  });
+
+  button.replaceWith(select);
+  select.focus();
+}
+
+// Corrections on the final leaderboard also fix the round in the history
+function updateFinishedRound() {
+  const rounds = loadHistory();
+  const record = rounds.find(r => r.id === finishedRoundId);
+  if (record && record.players.length === players.length) {
+    record.players.forEach((p, i) => {
+      p.scores = players[i].scores.slice();
+      p.total = players[i].total;
+    });
+    record.log = scoreLog.map(entry => ({ ...entry }));
+    saveHistory(rounds);
+  }
+  buildLeaderboard(getCurrentRound(), $('winnerAnnouncement'), $('leaderboardContent'), { editable: true });
+  renderFinishedScoreLog($('summaryScoreLog'), scoreLog, roundHoles);
+}
+
+// The score log under a finished round's leaderboard, if anything was logged
+function renderFinishedScoreLog(el, log, holes) {
+  if (!el) return;
+  el.innerHTML = log.length > 0 ? scoreLogHTML(log, holes) : '';
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Quit Game
+////////////////////////////////////////////////////////////////////////////////
+function confirmQuit() {
+  showConfirm({
+    title: 'Quit current quest?',
+    message: 'All progress will be lost.',
+    confirmLabel: 'Quit',
+    danger: true
+  }).then(ok => {
+    if (ok) quitGame();
+  });
+}
+
+function quitGame() {
+  localStorage.removeItem(STORAGE_KEY);
+  resetGame();
+}
+
+function resetGame() {
+  currentCourse = getDefaultCourse();
+  currentHole = 0;
+  roundHoles = [];
+  scoringMode = 'gross';
+  scoringFormat = 'stroke';
+  tiebreaker = 'share';
+  maxStrokes = 'unlimited';
+  playoff = null;
+  teams = null;
+  players = [];
+  gameStarted = false;
+  strokeCounts = {};
+  scoreLog = [];
+  clearUndo();
+  finishedRoundId = null;
+  leaveLiveEvent();
+
+  const container = $$('.container');
+  const mobileButtonBar = $('mobileButtonBar');
+  const playerSetup = $('playerSetup');
+  const holePlay = $('holePlay');
+  const summarySection = $('summarySection');
+  const playerInputs = $('playerInputs');
+
+  if (container) container.classList.remove('gameplay');
+  if (mobileButtonBar) mobileButtonBar.classList.remove('active');
+
+  showCourseSelection();
+  if (playerSetup) playerSetup.classList.remove('hidden');
+  if (holePlay) holePlay.classList.remove('active');
+  if (summarySection) summarySection.classList.remove('active');
+
+  if (playerInputs) {
+    playerInputs.innerHTML = playerInputHTML(1) + playerInputHTML(2);
+    updateTeamNameList();
+  }
+  renderSuspendedRounds();
+}
+
+function newGame() {
+  // Only a round still in progress has anything to lose
+  const ask = gameStarted
+    ? showConfirm({
+      title: 'Start a new quest?',
+      message: 'The quest in progress will be lost.',
+      confirmLabel: 'New quest',
+      danger: true
+    })
+    : Promise.resolve(true);
+
+  ask.then(ok => {
+    if (!ok) return;
+    localStorage.removeItem(STORAGE_KEY);
+    resetGame();
+  });
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// State Persistence
+////////////////////////////////////////////////////////////////////////////////
+// The game in progress as saved; loadState() reads it back
+function getSavedState() {
+  return {
+    ...game.serialize(),
+    hole: currentHole,
+    log: scoreLog,
+    live: liveEvent && {
+      code: liveEvent.code,
+      server: liveEvent.server,
+      group: liveEvent.group,
+      clock: liveEvent.clock,
+      stamps: liveEvent.stamps
+    },
+    gameStarted
+  };
+}
+
+function saveState() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(getSavedState()));
+  } catch (e) {
+    console.error('Failed to save game state:', e);
+    // Don't show alert for every save failure, just log it
+  }
+}
+
+function loadState() {
+  let raw;
+  try {
+    raw = localStorage.getItem(STORAGE_KEY);
+  } catch (e) {
+    console.error('Failed to access localStorage:', e);
+    return false;
+  }
+
+  if (!raw) return false;
+
+  try {
+    const parsed = JSON.parse(raw);
+    const { course, hole, players: ps, gameStarted: gs } = parsed;
+    // Saves from before round lengths existed always covered the whole course
+    const holes = parsed.holes ?? (isValidCourse(course) ? buildRoundHoles(course, 'full') : null);
+
+    // Validate loaded data
+    if (!isValidCourse(course)) {
+      console.warn('Invalid course in saved state, using default');
+      localStorage.removeItem(STORAGE_KEY);
+      return false;
+    }
+
+    if (!Array.isArray(ps) || ps.length === 0) {
+      console.warn('Invalid players data in saved state');
+      localStorage.removeItem(STORAGE_KEY);
+      return false;
+    }
+
+    if (!isValidRoundHoles(holes)) {
+      console.warn('Invalid round holes in saved state');
+      localStorage.removeItem(STORAGE_KEY);
+      return false;
+    }
+
+    if (typeof hole !== 'number' || hole < 0 || hole >= holes.length) {
+      console.warn('Invalid hole number in saved state');
+      localStorage.removeItem(STORAGE_KEY);
+      return false;
+    }
+
+    currentCourse = course;
+    roundHoles = holes.map(h => ({ course: h.course, hole: h.hole }));
+    scoringMode = parsed.scoring === 'net' ? 'net' : 'gross';
+    scoringFormat = isValidFormat(parsed.format) ? parsed.format : 'stroke';
+    tiebreaker = isValidTiebreaker(parsed.tiebreaker) ? parsed.tiebreaker : 'share';
+    maxStrokes = isValidMaxStrokes(parsed.maxStrokes) ? parsed.maxStrokes : 'unlimited';
+    gameStarted = gs;
+
+    if (gameStarted) {
+      showCourseDisplay();
+    } else {
+      showCourseSelection();
+    }
+
+    // Safely map players with validation; scores over the round's cap are dropped
+    players = restorePlayers(ps, getRoundPars(), maxStrokes);
+
+    playoff = isValidPlayoff(parsed.playoff) ? parsed.playoff : null;
+    scoreLog = Array.isArray(parsed.log) ? parsed.log.filter(entry => isValidLogEntry(entry, roundHoles.length)) : [];
+    teams = isValidTeams(parsed.teams, players.length) ? parsed.teams : null;
+
+    const playerSetupEl = $('playerSetup');
+    const holePlayEl = $('holePlay');
+    if (playerSetupEl) playerSetupEl.classList.add('hidden');
+    if (holePlayEl) holePlayEl.classList.add('active');
+
+    currentHole = hole;
+    // Restore history state for back button support
+    history.replaceState({ hole: currentHole, game: true }, '',
+      playoff ? `#playoff${playoff.holes.length}` : `#hole${currentHole + 1}`);
+    // Rejoin the live event; anything scored while offline is sent on reconnect
+    const live = parsed.live;
+    if (live && LIVE_CODE_PATTERN.test(live.code) && typeof live.server === 'string' &&
+        LIVE_ID_PATTERN.test(live.group) && typeof live.clock === 'number') {
+      joinLiveEvent(live.code, live);
+    }
+
+    renderHole();
+    updateMobileButtons();
+
+    return true;
+  } catch (e) {
+    console.error('Failed to load saved state (corrupted data?):', e);
+    // Clean up corrupted data
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (removeErr) {
+      console.error('Failed to remove corrupted state:', removeErr);
+    }
+    return false;
+  }
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Suspended Rounds
+////////////////////////////////////////////////////////////////////////////////
+// Going back to setup puts the round in progress on hold instead of dropping it,
+// so one tablet can keep several groups' rounds. Each is a getSavedState() copy
+// with an id and the time it was put on hold; resuming hands it to loadState().
+const MAX_SUSPENDED_ROUNDS = 6;
+const SUSPENDED_ID_PATTERN = /^[a-z0-9]{4,32}$/;
+
+function loadSuspendedRounds() {
+  let raw;
+  try {
+    raw = localStorage.getItem(SUSPENDED_KEY);
+  } catch (e) {
+    console.error('Failed to access localStorage:', e);
+    return [];
+  }
+
+  if (!raw) return [];
+
+  try {
+    const parsed = JSON.parse(raw);
+    // loadState() checks a round in full when it's resumed; the list only describes them
+    return Array.isArray(parsed) ? parsed.filter(isValidSuspendedRound) : [];
+  } catch (e) {
+    console.error('Failed to load suspended rounds (corrupted data?):', e);
+    return [];
+  }
+}
+
+function isValidSuspendedRound(round) {
+  return Boolean(round) && typeof round.id === 'string' && SUSPENDED_ID_PATTERN.test(round.id) &&
+    typeof round.suspendedAt === 'string' && Array.isArray(round.holes) &&
+    Number.isInteger(round.hole) && Array.isArray(round.players) && round.players.length > 0;
+}
+
+function saveSuspendedRounds(rounds) {
+  try {
+    localStorage.setItem(SUSPENDED_KEY, JSON.stringify(rounds));
+    return true;
+  } catch (e) {
+    console.error('Failed to save suspended rounds:', e);
+    return false;
+  }
+}
+
+/**
+ * Put the game in progress on hold, newest first. The oldest round on hold is
+ * dropped when there are more than MAX_SUSPENDED_ROUNDS.
+ * @returns {Object|null} The round as stored, or null if it couldn't be
+ */
+function suspendRound() {
+  // It resumes on the first hole still to finish, not on hole 1 where setup was left for
+  const next = roundHoles.findIndex((h, hi) => players.some(p => p.scores[hi] === null && isPlayingHole(p, hi)));
+  const round = {
+    ...getSavedState(),
+    hole: next === -1 ? roundHoles.length - 1 : next,
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    suspendedAt: new Date().toISOString()
+  };
+
+  const rounds = loadSuspendedRounds();
+  rounds.unshift(round);
+
+  if (rounds.length > MAX_SUSPENDED_ROUNDS) {
+    const dropped = rounds.pop();
+    showToast(`Only ${MAX_SUSPENDED_ROUNDS} rounds can be on hold – ${dropped.players.map(p => p.name).join(', ')}'s was dropped`, 'warning');
+  }
+  return saveSuspendedRounds(rounds) ? round : null;
+}
+
+/**
+ * Carry on with a round on hold, from setup
+ * @param {string} id - Id of the suspended round
+ */
+function resumeRound(id) {
+  const rounds = loadSuspendedRounds();
+  const round = rounds.find(r => r.id === id);
+  if (!round || gameStarted) return;
+
+  saveSuspendedRounds(rounds.filter(r => r !== round));
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(round));
+  } catch (e) {
+    console.error('Failed to resume round:', e);
+    return;
+  }
+
+  strokeCounts = {};
+  clearUndo();
+  finishedRoundId = null;
+  if (!loadState()) {
+    showToast('This round couldn\'t be resumed on this device', 'error');
+    renderSuspendedRounds();
+    return;
+  }
+  updateMobileButtons();
+}
+
+function discardSuspendedRound(id) {
+  const round = loadSuspendedRounds().find(r => r.id === id);
+  if (!round) return;
+
+  showConfirm({
+    title: 'Discard this round?',
+    message: `${round.players.map(p => p.name).join(', ')} – the scores entered so far will be lost.`,
+    confirmLabel: 'Discard',
+    danger: true
+  }).then(ok => {
+    if (!ok) return;
+    saveSuspendedRounds(loadSuspendedRounds().filter(r => r.id !== id));
+    renderSuspendedRounds();
+  });
 }
 
-function nextHole() {
-  // Check all scores entered
-  if (players.some(p => p.scores[currentHole] === null)) {
-    showToast('Enter scores for all players');
-    return;
-  }
+// Rounds on hold, at the top of setup
+function renderSuspendedRounds() {
+  const panel = document.getElementById('suspendedRounds');
+  if (!panel) return;
+
+  const rounds = loadSuspendedRounds();
+  panel.classList.toggle('hidden', rounds.length === 0);
+  panel.innerHTML = rounds.length === 0 ? '' : `
+    <h3>⏸️ Rounds on hold</h3>
+    <p>Resume a round where it was left, or start a new one below.</p>
+    ${rounds.map(round => {
+      const hole = formatHoleLabel(round.holes, round.hole);
+      const names = round.players.map(p => p.name).join(', ');
+      const when = new Date(round.suspendedAt).toLocaleString(undefined, {
+        weekday: 'short', hour: 'numeric', minute: '2-digit'
+      });
+      return `
+        <div class="suspended-round">
+          <div class="suspended-info">
+            <strong>${escapeHtml(names)}</strong>
+            <span>${escapeHtml(getCourseLabel(round.course))} · hole ${escapeHtml(hole)} of ${round.holes.length} · ${escapeHtml(when)}</span>
+          </div>
+          <button class="btn primary compact" type="button" onclick="resumeRound('${round.id}')">▶ Resume on hole ${escapeHtml(hole)}</button>
+          <button class="suspended-discard" type="button" onclick="discardSuspendedRound('${round.id}')"
+                  aria-label="${escapeHtml(`Discard ${names}'s round`).replace(/"/g, '&quot;')}">×</button>
+        </div>
+      `;
+    }).join('')}
+  `;
+}
 
-  if (currentHole < HOLES_COUNT - 1) {
-    currentHole++;
-    // Push new hole to history for back button support
-    history.pushState({ hole: currentHole, game: true }, '', `#hole${currentHole + 1}`);
-    renderHole();
-    saveState();
-  } else {
-    endGame();
-  }
+////////////////////////////////////////////////////////////////////////////////
+// Share Links
+////////////////////////////////////////////////////////////////////////////////
+// A round in progress moves to another phone as #round=<payload>: the saveState()
+// payload packed into an array and base64url-encoded. Holes are stored as runs
+// [course, from, to] and scores as one base-36 digit per hole, '-' if unplayed.
+
+function packRoundHoles(holes) {
+  const runs = [];
+  holes.forEach(h => {
+    const run = runs[runs.length - 1];
+    if (run && run[0] === h.course && run[2] + 1 === h.hole) {
+      run[2] = h.hole;
+    } else {
+      runs.push([h.course, h.hole, h.hole]);
+    }
+  });
+  return runs;
 }
 
-function endGame() {
-  gameStarted = false;
+function unpackRoundHoles(runs) {
+  const holes = [];
+  runs.forEach(([course, from, to]) => {
+    if (!Number.isInteger(from) || !Number.isInteger(to) || to < from || to - from >= MAX_COURSE_HOLES) {
+      throw new Error('Invalid hole run');
+    }
+    for (let hole = from; hole <= to; hole++) holes.push({ course, hole });
+  });
+  return holes;
+}
 
-  const holePlay = $('holePlay');
-  const summarySection = $('summarySection');
-  const mobileButtonBar = $('mobileButtonBar');
-  const container = $$('.container');
+function toBase64Url(text) {
+  let binary = '';
+  new TextEncoder().encode(text).forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
 
-  if (holePlay) holePlay.classList.remove('active');
-  if (summarySection) summarySection.classList.add('active');
-  if (mobileButtonBar) mobileButtonBar.classList.remove('active');
-  if (container) container.classList.remove('gameplay');
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
 
-  // Clear URL hash when game ends
-  history.replaceState({}, '', window.location.pathname);
+/**
+ * Link that opens the current round on another device
+ * @returns {string} App URL with the round in the fragment
+ */
+function getRoundShareLink() {
+  const packed = [
+    SHARE_VERSION,
+    currentCourse,
+    packRoundHoles(roundHoles),
+    currentHole,
+    scoringMode,
+    scoringFormat,
+    tiebreaker,
+    // Late and withdrawn players add [joined, withdrawn]
+    players.map(p => [p.name, p.handicap, p.scores.map(s => (s === null ? '-' : s.toString(36))).join(''),
+      ...(p.joined || hasWithdrawn(p) ? [p.joined ?? 0, p.withdrawn ?? null] : [])]),
+    teams && [teams.mode, teams.list.map(t => [t.name, t.members])],
+    // The other device carries on scoring the same live group. The server isn't
+    // sent: a link must not be able to point a phone at a server of its choosing
+    liveEvent && [liveEvent.code, liveEvent.group],
+    playoff,
+    maxStrokes
+  ];
+  return window.location.href.split('#')[0] + SHARE_HASH_PREFIX + toBase64Url(JSON.stringify(packed));
+}
+
+/**
+ * Unpack a shared round into the shape saveState() writes
+ * @param {string} payload - Fragment after SHARE_HASH_PREFIX
+ * @returns {Object|null} Saved state for loadState() to validate, or null if unreadable
+ */
+function decodeRoundShare(payload) {
+  try {
+    const [version, course, runs, hole, scoring, format, tiebreak, ps, team, live, po, max] =
+      JSON.parse(fromBase64Url(payload));
+    if (version !== SHARE_VERSION) return null;
+
+    return {
+      course,
+      holes: unpackRoundHoles(runs),
+      hole,
+      scoring,
+      format,
+      tiebreaker: tiebreak,
+      maxStrokes: max,
+      playoff: po ?? null,
+      teams: team ? { mode: team[0], list: team[1].map(([name, members]) => ({ name, members })) } : null,
+      // Stamps start empty, so the live server's copy of every score wins on rejoin
+      live: live ? { code: live[0], group: live[1], clock: 0, stamps: null } : null,
+      players: ps.map(([name, handicap, scores, joined, withdrawn]) => ({
+        name,
+        handicap,
+        scores: [...String(scores)].map(c => (c === '-' ? null : parseInt(c, 36))),
+        joined,
+        withdrawn
+      })),
+      gameStarted: true
+    };
+  } catch (e) {
+    console.warn('Invalid round share link:', e);
+    return null;
+  }
+}
 
-  buildLeaderboard();
+/**
+ * Store a round opened from a share link so loadState() picks it up
+ * @param {string} payload - Fragment after SHARE_HASH_PREFIX
+ * @returns {Promise<boolean>} Whether the shared round replaced the saved state
+ */
+function importSharedRound(payload) {
+  // Drop the payload from the address bar so a reload doesn't import it again
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+
+  const state = decodeRoundShare(payload);
+  if (!state) {
+    showToast('This round link is damaged or incomplete', 'error');
+    return Promise.resolve(false);
+  }
 
+  let saved = null;
   try {
-    localStorage.removeItem(STORAGE_KEY);
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
   } catch (e) {
-    console.error('Failed to clear localStorage:', e);
+    console.warn('Unreadable saved state, replacing it with the shared round:', e);
+  }
+
+  const ask = saved?.gameStarted
+    ? showConfirm({
+      title: 'Replace the quest in progress?',
+      message: 'A quest is already in progress on this device. The shared round will take its place.',
+      confirmLabel: 'Open shared round',
+      danger: true
+    })
+    : Promise.resolve(true);
+
+  return ask.then(ok => {
+    if (!ok) return false;
+
+    const live = state.live ? confirmSharedLiveServer(state.live.code) : Promise.resolve(null);
+    return live.then(server => {
+      // Declining the live event still opens the round, scored offline
+      state.live = server ? { ...state.live, server } : null;
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        return true;
+      } catch (e) {
+        console.error('Failed to import shared round:', e);
+        return false;
+      }
+    });
+  });
+}
+
+/**
+ * Ask before a shared round rejoins its live event, since its scores will be
+ * sent to this device's sync server
+ * @param {string} code - Event code from the link
+ * @returns {Promise<string|null>} Server to rejoin through, or null to score offline
+ */
+function confirmSharedLiveServer(code) {
+  const server = getLiveServer();
+  if (!server || !LIVE_CODE_PATTERN.test(code)) return Promise.resolve(null);
+
+  return showConfirm({
+    title: `Rejoin live event ${code}?`,
+    message: `This round is scored as part of a live event. Its scores will be sent to ${server}.`,
+    confirmLabel: 'Rejoin event',
+    cancelLabel: 'Score offline'
+  }).then(ok => (ok ? server : null));
+}
+
+// Hand-off panel in the scorecard modal; the link and QR code are built when opened
+function renderRoundHandoff(panel) {
+  if (!panel.open) return;
+
+  const link = getRoundShareLink();
+  const qr = qrSVG(link);
+  panel.querySelector('.handoff-body').innerHTML = `
+    ${qr || '<p>This round is too long for a QR code – share the link instead.</p>'}
+    <p>Scan with the other phone's camera to carry on scoring from here.</p>
+    <input type="text" class="handoff-link" value="${escapeHtml(link)}" readonly aria-label="Round link" onclick="this.select()">
+    <button class="btn secondary compact" type="button" onclick="shareRoundLink()">🔗 Share link</button>
+  `;
+}
+
+function shareRoundLink() {
+  const link = getRoundShareLink();
+
+  if (navigator.share) {
+    navigator.share({ title: 'Royal Mini Golf Quest', url: link }).catch(e => {
+      if (e.name !== 'AbortError') console.error('Failed to share round link:', e);
+    });
+  } else if (navigator.clipboard) {
+    navigator.clipboard.writeText(link)
+      .then(() => showToast('Round link copied', 'success'))
+      .catch(e => {
+        console.error('Failed to copy round link:', e);
+        showToast('Could not copy the link – select it and copy it instead', 'error');
+      });
+  } else {
+    showToast('Select the link and copy it to share this round');
   }
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-// Leaderboard
+// QR Codes
 ////////////////////////////////////////////////////////////////////////////////
-function buildLeaderboard() {
-  // Defensive check for empty players array
-  if (!players || players.length === 0) {
-    console.error('No players to display on leaderboard');
-    const container = $('leaderboardContent');
-    if (container) {
-      container.innerHTML = '<p>No players found.</p>';
-    }
-    return;
-  }
+// Small QR encoder for share links: byte mode, error correction level M,
+// versions 1–40, following ISO/IEC 18004. Tables are indexed by version.
+const QR_ECC_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26,
+  26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const QR_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14,
+  16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+
+const qrMasks = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => x * y % 2 + x * y % 3 === 0,
+  (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
 
-  // Validate course data
-  if (!isValidCourse(currentCourse)) {
-    console.error(`Invalid course for leaderboard: ${currentCourse}`);
-    return;
+// Modules left for data and error correction once function patterns are placed
+function qrRawModules(ver) {
+  let result = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const numAlign = Math.floor(ver / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (ver >= 7) result -= 36;
   }
+  return result;
+}
 
-  const sorted = [...players].sort((a, b) => a.total - b.total);
-  const totalPar = coursePars[currentCourse].reduce((a, b) => a + b, 0);
-  const winner = sorted[0];
-  const diff = winner.total - totalPar;
+function qrDataCodewords(ver) {
+  return Math.floor(qrRawModules(ver) / 8) - QR_ECC_PER_BLOCK[ver] * QR_BLOCKS[ver];
+}
 
-  const parText = diff === 0 ? 'at par' :
-                  diff > 0 ? `${diff} over par` :
-                  `${Math.abs(diff)} under par`;
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+function qrMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
 
-  document.getElementById('winnerAnnouncement').innerHTML = `
-    <strong>🏆 ${escapeHtml(winner.name)} Wins!</strong>
-    ${winner.total} strokes (${parText})
-  `;
+function qrDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = qrMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = qrMultiply(root, 0x02);
+  }
+  return result;
+}
 
-  const container = document.getElementById('leaderboardContent');
-  container.innerHTML = '';
+// Reed-Solomon error correction codewords for one block
+function qrRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach(byte => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= qrMultiply(coef, factor);
+    });
+  });
+  return result;
+}
 
-  sorted.forEach((player, i) => {
-    const card = document.createElement('div');
-    card.className = 'leaderboard-card';
+function qrAlignmentPositions(ver) {
+  if (ver === 1) return [];
+  const numAlign = Math.floor(ver / 7) + 2;
+  const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = ver * 4 + 10; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
 
-    const trophy = i === 0 ? '🏆' : i === 1 ? '🥈' : i === 2 ? '🥉' : '';
-    const parDiff = player.total - totalPar;
-    const displayDiff = parDiff === 0 ? 'E' : parDiff > 0 ? `+${parDiff}` : `${parDiff}`;
+// Data codewords (mode, length, bytes, padding) split into blocks with error correction
+function qrCodewords(bytes, ver) {
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  const capacity = qrDataCodewords(ver) * 8;
+  push(0b0100, 4); // byte mode
+  push(bytes.length, ver < 10 ? 8 : 16);
+  bytes.forEach(b => push(b, 8));
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) push(pad, 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
 
-    // Build scorecard rows
-    const rows = player.scores.map((score, hi) => {
-      const par = coursePars[currentCourse][hi];
-      const d = score !== null ? score - par : null;
-      const diffText = d === null ? '–' : d === 0 ? 'E' : d > 0 ? `+${d}` : `${d}`;
-      return `
-        <tr>
-          <td>${hi + 1}</td>
-          <td>${par}</td>
-          <td>${score ?? '–'}</td>
-          <td>${diffText}</td>
-        </tr>
-      `;
-    }).join('');
+  const numBlocks = QR_BLOCKS[ver];
+  const eccLen = QR_ECC_PER_BLOCK[ver];
+  const rawCodewords = Math.floor(qrRawModules(ver) / 8);
+  const numShort = numBlocks - rawCodewords % numBlocks;
+  const shortLen = Math.floor(rawCodewords / numBlocks);
+  const divisor = qrDivisor(eccLen);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const block = data.slice(k, k + shortLen - eccLen + (i < numShort ? 0 : 1));
+    k += block.length;
+    const ecc = qrRemainder(block, divisor);
+    if (i < numShort) block.push(0); // short blocks skip this slot when interleaving
+    blocks.push(block.concat(ecc));
+  }
 
-    // Calculate achievements
-    const achievements = [];
-    player.scores.forEach((score, hi) => {
-      if (score === 1) achievements.push('⭐ Hole in One');
-      const par = coursePars[currentCourse][hi];
-      if (score !== null && score - par <= -2) achievements.push('🦅 Eagle');
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortLen - eccLen || j >= numShort) result.push(block[i]);
     });
+  }
+  return result;
+}
 
-    const achievementsHTML = achievements.length > 0 ?
-      `<div class="achievements"><strong>Achievements:</strong> ${achievements.join(', ')}</div>` : '';
+// Penalty score for a masked symbol; the mask with the lowest score is used
+function qrPenalty(modules) {
+  const size = modules.length;
+  let penalty = 0;
+  let dark = 0;
+
+  const line = (get) => {
+    let run = 1;
+    const cells = [];
+    for (let i = 0; i < size; i++) {
+      cells.push(get(i));
+      if (i > 0 && cells[i] === cells[i - 1]) {
+        run++;
+        if (run === 5) penalty += 3;
+        else if (run > 5) penalty++;
+      } else {
+        run = 1;
+      }
+    }
+    // Finder-like 1:1:3:1:1 pattern with four light modules on one side
+    const text = cells.map(c => (c ? '1' : '0')).join('');
+    penalty += 40 * ((text.match(/(?=10111010000)/g) || []).length + (text.match(/(?=00001011101)/g) || []).length);
+  };
+
+  for (let i = 0; i < size; i++) {
+    line(x => modules[i][x]);
+    line(y => modules[y][i]);
+  }
 
-    card.innerHTML = `
-      ${trophy ? `<div class="trophy">${trophy}</div>` : ''}
-      <h3>#${i + 1} – ${escapeHtml(player.name)}</h3>
-      <table class="scorecard">
-        <thead>
-          <tr><th>Hole</th><th>Par</th><th>Score</th><th>+/−</th></tr>
-        </thead>
-        <tbody>
-          ${rows}
-          <tr class="total-row">
-            <td><strong>Total</strong></td>
-            <td><strong>${totalPar}</strong></td>
-            <td><strong>${player.total}</strong></td>
-            <td><strong>${displayDiff}</strong></td>
-          </tr>
-        </tbody>
-      </table>
-      ${achievementsHTML}
-    `;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) penalty += 3;
+      }
+    }
+  }
 
-    container.appendChild(card);
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+}
+
+/**
+ * Encode text as a QR code
+ * @param {string} text - Text to encode (UTF-8)
+ * @returns {{size: number, modules: boolean[][]}|null} Dark modules by row, or null if too long
+ */
+function qrEncode(text) {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  let ver = 1;
+  while (ver <= 40 && 4 + (ver < 10 ? 8 : 16) + bytes.length * 8 > qrDataCodewords(ver) * 8) ver++;
+  if (ver > 40) return null;
+
+  const size = ver * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+  const bit = (value, i) => ((value >>> i) & 1) !== 0;
+
+  // Timing patterns, then finders with their separators on top
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+
+  const align = qrAlignmentPositions(ver);
+  const last = align.length - 1;
+  align.forEach((ay, i) => align.forEach((ax, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return; // finders
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  // Format bits: level M (00) and the mask, BCH-protected and XOR-masked
+  const drawFormat = mask => {
+    let rem = mask;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((mask << 10) | rem) ^ 0x5412;
+    for (let i = 0; i <= 5; i++) set(8, i, bit(bits, i));
+    set(8, 7, bit(bits, 6));
+    set(8, 8, bit(bits, 7));
+    set(7, 8, bit(bits, 8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(bits, i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(bits, i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(bits, i));
+    set(8, size - 8, true); // always-dark module
+  };
+  drawFormat(0);
+
+  if (ver >= 7) {
+    let rem = ver;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+    const bits = (ver << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      set(a, b, bit(bits, i));
+      set(b, a, bit(bits, i));
+    }
+  }
+
+  // Codewords zigzag up and down in two-module columns, skipping the timing column
+  const codewords = qrCodewords(bytes, ver);
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const y = ((right + 1) & 2) === 0 ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && i < codewords.length * 8) {
+          modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+          i++;
+        }
+      }
+    }
+  }
+
+  const applyMask = mask => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && qrMasks[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  };
+
+  let best = 0;
+  let bestPenalty = Infinity;
+  qrMasks.forEach((m, mask) => {
+    applyMask(mask);
+    drawFormat(mask);
+    const penalty = qrPenalty(modules);
+    if (penalty < bestPenalty) {
+      best = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(mask); // XOR again to undo
   });
+  applyMask(best);
+  drawFormat(best);
+
+  return { size, modules };
+}
+
+/**
+ * QR code as inline SVG
+ * @param {string} text - Text to encode
+ * @returns {string} SVG markup, or '' if the text is too long for a QR code
+ */
+function qrSVG(text) {
+  const qr = qrEncode(text);
+  if (!qr) return '';
+
+  const border = 4; // quiet zone required around the symbol
+  const dim = qr.size + border * 2;
+  let path = '';
+  qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (dark) path += `M${x + border},${y + border}h1v1h-1z`;
+  }));
+
+  return `
+    <svg class="qr-code" viewBox="0 0 ${dim} ${dim}" role="img" aria-label="QR code" shape-rendering="crispEdges">
+      <rect width="${dim}" height="${dim}" fill="#fff"/>
+      <path d="${path}" fill="#000"/>
+    </svg>
+  `;
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-// Mobile Button Bar
+// Live Events
 ////////////////////////////////////////////////////////////////////////////////
-function updateMobileButtons() {
-  const bar = $('mobileButtonBar');
-  const grid = $('buttonGrid');
-  const container = $$('.container');
+// Several devices score one event through sync-server.js, each device scoring
+// its own group. Every score is a cell { v, t, d }: value, clock and the device
+// that wrote it. Cells are merged with compareLiveCells() from engine.js, as on
+// the server, so all devices agree.
 
-  if (!bar || !grid || !container) {
-    console.warn('Mobile button bar elements not found');
-    return;
+// Stable id for this device, used to break ties between equal clocks
+function getLiveDevice() {
+  try {
+    let id = localStorage.getItem(LIVE_DEVICE_KEY);
+    if (!id || !LIVE_ID_PATTERN.test(id)) {
+      id = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+      localStorage.setItem(LIVE_DEVICE_KEY, id);
+    }
+    return id;
+  } catch (e) {
+    console.error('Failed to access localStorage:', e);
+    return 'anonymous';
   }
+}
 
-  if (!gameStarted) {
-    bar.classList.remove('active');
-    container.classList.remove('gameplay');
+// Sync server: ?sync=<url>, or the server the app was loaded from
+function getLiveServer() {
+  const param = new URLSearchParams(window.location.search).get('sync');
+  if (param) return param.replace(/\/+$/, '');
+  return window.location.protocol.startsWith('http') ? window.location.origin : null;
+}
+
+function isValidLiveStamps(stamps) {
+  return Array.isArray(stamps) && stamps.length === players.length &&
+    stamps.every(row => Array.isArray(row) && row.length === roundHoles.length &&
+      row.every(s => s === null || (Array.isArray(s) && typeof s[0] === 'number' && typeof s[1] === 'string')));
+}
+
+/**
+ * Start scoring this game's players as a group of a live event
+ * @param {string} code - Event code shared by all devices
+ * @param {Object} [saved] - Connection restored from saveState() ({ server, group, clock, stamps })
+ */
+function joinLiveEvent(code, saved = null) {
+  leaveLiveEvent();
+
+  const server = saved?.server ?? getLiveServer();
+  if (!server) {
+    showToast('Open the app from the sync server to join a live event', 'warning');
     return;
   }
 
-  bar.classList.add('active');
-  container.classList.add('gameplay');
+  liveEvent = {
+    code,
+    server,
+    // A new group per game; a restored game carries on with its own
+    group: saved?.group ?? getLiveDevice() + Math.random().toString(36).slice(2, 6),
+    clock: saved?.clock ?? 0,
+    stamps: saved && isValidLiveStamps(saved.stamps)
+      ? saved.stamps
+      : players.map(p => p.scores.map(() => null)),
+    snapshot: null,
+    status: 'connecting',
+    source: null,
+    pushing: false,
+    pending: false,
+    retry: null
+  };
+
+  renderLiveStatus();
+  pushLiveEvent();
+}
 
-  const isFirstHole = currentHole === 0;
-  const isLastHole = currentHole === HOLES_COUNT - 1;
-  const allScoresEntered = players.every(p => p.scores[currentHole] !== null);
+function leaveLiveEvent() {
+  if (!liveEvent) return;
 
-  // Back button always navigates back - to previous hole or to setup on hole 1
-  grid.innerHTML = `
-    <button class="mobile-btn nav" onclick="${isFirstHole ? 'goBackToSetup()' : 'previousHole()'}">
-      <span class="icon">←</span>
-      <span>${isFirstHole ? 'Back' : 'Previous'}</span>
-    </button>
-    <button class="mobile-btn secondary" onclick="showScorecards()">
-      <span class="icon">📊</span>
-      <span>Scores</span>
-    </button>
-    <button class="mobile-btn primary" onclick="nextHole()" ${allScoresEntered ? '' : 'disabled'}>
-      <span class="icon">${isLastHole ? '🏆' : '→'}</span>
-      <span>${isLastHole ? 'Finish' : 'Next'}</span>
-    </button>
-  `;
+  if (liveEvent.source) liveEvent.source.close();
+  clearTimeout(liveEvent.retry);
+  liveEvent = null;
+  renderLiveStatus();
+  renderLiveBoards();
 }
 
-// Go back to setup screen (preserves game state so user can resume)
-function goBackToSetup() {
-  gameStarted = false;
+// Hybrid clock: wall time, but always past every clock this device has seen
+function nextLiveClock() {
+  liveEvent.clock = Math.max(Date.now(), liveEvent.clock + 1);
+  return liveEvent.clock;
+}
 
-  const container = $$('.container');
-  const bar = $('mobileButtonBar');
-  const holePlay = $('holePlay');
-  const playerSetup = $('playerSetup');
-  const inputsContainer = $('playerInputs');
+// Record who entered a score and when, so edits from other devices can be ordered
+function stampLiveScore(playerIdx, hi) {
+  if (!liveEvent) return;
+  liveEvent.stamps[playerIdx][hi] = [nextLiveClock(), getLiveDevice()];
+}
 
-  if (container) container.classList.remove('gameplay');
-  if (bar) bar.classList.remove('active');
-  if (holePlay) holePlay.classList.remove('active');
+// This device's cell for a score; scores from before joining count as oldest
+function getLocalLiveCell(playerIdx, hi) {
+  const value = players[playerIdx].scores[hi];
+  const stamp = liveEvent.stamps[playerIdx][hi];
+  if (value === null && !stamp) return null;
+  return { v: value, t: stamp ? stamp[0] : 0, d: stamp ? stamp[1] : getLiveDevice() };
+}
 
-  // Show setup with current players
-  showCourseSelection();
-  if (playerSetup) playerSetup.classList.remove('hidden');
+function getLivePayload() {
+  return {
+    device: getLiveDevice(),
+    group: liveEvent.group,
+    label: players.map(p => p.name).join(', ').slice(0, 40),
+    round: {
+      course: currentCourse,
+      label: `${getCourseLabel(currentCourse)} · ${describeRound(roundHoles)}`,
+      holes: roundHoles,
+      pars: getRoundPars()
+    },
+    players: players.map((p, i) => ({
+      name: p.name,
+      handicap: p.handicap,
+      scores: p.scores.map((s, hi) => getLocalLiveCell(i, hi))
+    }))
+  };
+}
 
-  // Restore player names in inputs
-  if (inputsContainer && players && players.length > 0) {
-    inputsContainer.innerHTML = players.map((p, i) => `
-      <div class="player-input">
-        <input type="text" placeholder="Player ${i + 1} name" aria-label="Name of Player ${i + 1}"
-               maxlength="20" autocomplete="off" autocapitalize="words" value="${escapeHtml(p.name)}">
-        <button type="button" onclick="removePlayer(this)" aria-label="Remove player">×</button>
-      </div>
-    `).join('');
+/**
+ * Send this device's group to the server. Only one request is in flight at a
+ * time; changes made meanwhile are sent when it returns. Offline devices retry.
+ */
+function pushLiveEvent() {
+  const event = liveEvent;
+  if (!event) return;
+  if (event.pushing) {
+    event.pending = true;
+    return;
+  }
+
+  event.pushing = true;
+  event.pending = false;
+  clearTimeout(event.retry);
+
+  fetch(`${event.server}/api/events/${event.code}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(getLivePayload())
+  })
+    .then(response => response.json().then(body => {
+      if (!response.ok) {
+        const err = new Error(body.error || `HTTP ${response.status}`);
+        err.status = response.status;
+        throw err;
+      }
+      return body;
+    }))
+    .then(snapshot => {
+      if (liveEvent !== event) return;
+      applyLiveSnapshot(snapshot);
+      if (!event.source) openLiveStream();
+    })
+    .catch(err => {
+      if (liveEvent !== event) return;
+
+      // The server refused this group (different round, full event): stop trying
+      if (err.status >= 400 && err.status < 500) {
+        console.error(`Live event ${event.code} rejected this device:`, err);
+        showToast(`Couldn't join live event ${event.code}: ${err.message}`, 'error');
+        leaveLiveEvent();
+        return;
+      }
+
+      console.warn(`Live event ${event.code} unreachable, retrying:`, err);
+      setLiveStatus('offline');
+      event.retry = setTimeout(pushLiveEvent, LIVE_RETRY_MS);
+    })
+    .finally(() => {
+      event.pushing = false;
+      if (event.pending && liveEvent === event) pushLiveEvent();
+    });
+}
+
+function openLiveStream() {
+  const event = liveEvent;
+  if (typeof EventSource === 'undefined') return; // pushes still merge, just not live
+
+  const source = new EventSource(`${event.server}/api/events/${event.code}/stream`);
+  event.source = source;
+
+  source.addEventListener('snapshot', e => {
+    if (liveEvent !== event) return;
+    try {
+      applyLiveSnapshot(JSON.parse(e.data));
+    } catch (err) {
+      console.error('Failed to read live event update:', err);
+    }
+  });
+
+  // Back online: send anything scored while the connection was down
+  source.onopen = () => {
+    if (liveEvent === event) pushLiveEvent();
+  };
+
+  source.onerror = () => {
+    if (liveEvent !== event) return;
+    setLiveStatus('offline');
+    // EventSource retries by itself unless the server turned it away
+    if (source.readyState === EventSource.CLOSED) {
+      event.source = null;
+      clearTimeout(event.retry);
+      event.retry = setTimeout(pushLiveEvent, LIVE_RETRY_MS);
+    }
+  };
+}
+
+/**
+ * Take in the merged event. Edits from other devices to this device's group
+ * replace local scores when their cell wins, so every device converges.
+ * @param {Object} snapshot - Event from the server ({ code, round, groups })
+ */
+function applyLiveSnapshot(snapshot) {
+  if (!snapshot || !Array.isArray(snapshot.groups)) return;
+
+  liveEvent.snapshot = snapshot;
+  snapshot.groups.forEach(g => g.players.forEach(p => p.scores.forEach(cell => {
+    if (cell) liveEvent.clock = Math.max(liveEvent.clock, cell.t);
+  })));
+
+  const group = snapshot.groups.find(g => g.id === liveEvent.group);
+  let changed = false;
+
+  if (group && gameStarted) {
+    group.players.forEach((remote, i) => {
+      const player = players[i];
+      if (!player || remote.scores.length !== player.scores.length) return;
+
+      remote.scores.forEach((cell, hi) => {
+        if (compareLiveCells(cell, getLocalLiveCell(i, hi)) <= 0) return;
+        if (player.scores[hi] !== cell.v) logScoreChange(hi, i, player.scores[hi], cell.v, 'live', cell.d);
+        player.scores[hi] = cell.v;
+        liveEvent.stamps[i][hi] = [cell.t, cell.d];
+        changed = true;
+      });
+      player.total = getPlayerTotal(player.scores);
+    });
   }
 
-  // Clear URL hash
-  history.replaceState({}, '', window.location.pathname);
-
-  try {
-    localStorage.removeItem(STORAGE_KEY);
-  } catch (e) {
-    console.error('Failed to clear localStorage:', e);
+  setLiveStatus('live');
+  if (changed) {
+    renderHole();
+    saveState();
   }
+  renderLiveBoards();
 }
 
-////////////////////////////////////////////////////////////////////////////////
-// Modal Functions
-////////////////////////////////////////////////////////////////////////////////
-function showScorecards() {
-  const modal = $('scorecardModal');
-  const content = $('scorecardModalContent');
-
-  if (!modal || !content) {
-    console.error('Scorecard modal elements not found');
-    return;
-  }
+function setLiveStatus(status) {
+  if (!liveEvent || liveEvent.status === status) return;
+  liveEvent.status = status;
+  renderLiveStatus();
+}
 
-  if (!players || players.length === 0) {
-    content.innerHTML = '<p>No player data available.</p>';
-    return;
-  }
+function renderLiveStatus() {
+  const el = $('liveStatus');
+  if (!el) return;
 
-  if (!isValidCourse(currentCourse)) {
-    console.error('Invalid course for scorecards');
-    return;
-  }
+  el.classList.toggle('hidden', !liveEvent);
+  if (!liveEvent) return;
 
-  const sorted = [...players].sort((a, b) => a.total - b.total);
+  const groups = liveEvent.snapshot ? liveEvent.snapshot.groups.length : 0;
+  const text = {
+    connecting: 'Connecting…',
+    live: `Live · ${groups} group${groups === 1 ? '' : 's'}`,
+    offline: 'Offline – scores will sync when back'
+  }[liveEvent.status];
 
-  content.innerHTML = players.map(player => {
-    const rank = sorted.findIndex(p => p.name === player.name) + 1;
-    let parPlayed = 0;
+  el.textContent = `📡 ${liveEvent.code} · ${text}`;
+  el.className = `live-status ${liveEvent.status}`;
+}
 
-    for (let i = 0; i <= currentHole; i++) {
-      if (player.scores[i] !== null) {
-        parPlayed += coursePars[currentCourse][i];
-      }
-    }
+/**
+ * Everyone in the event ranked by strokes against par over the holes they've
+ * played, since groups are at different points of the round
+ * @param {Object} snapshot - Event from the server
+ * @returns {Array} Entries ({ name, group, id, thru, strokes, toPar, rank }), best first
+ */
+function getLiveStandings(snapshot) {
+  const pars = snapshot.round.pars;
+  const entries = snapshot.groups.flatMap(g => g.players.map(p => {
+    let thru = 0;
+    let strokes = 0;
+    let par = 0;
+    p.scores.forEach((cell, hi) => {
+      if (!cell || cell.v === null) return;
+      thru++;
+      strokes += cell.v;
+      par += pars[hi];
+    });
+    return { name: p.name, group: g.label, id: g.id, thru, strokes, toPar: strokes - par };
+  }));
 
-    const rows = player.scores.map((score, hi) => {
-      const par = coursePars[currentCourse][hi];
-      const isCurrent = hi === currentHole;
-      const d = score !== null ? score - par : null;
-      const diffText = d === null ? '–' : d === 0 ? 'E' : d > 0 ? `+${d}` : `${d}`;
+  entries.sort((a, b) => (b.thru > 0) - (a.thru > 0) || a.toPar - b.toPar || b.thru - a.thru);
+  entries.forEach((entry, i) => {
+    const prev = entries[i - 1];
+    entry.rank = prev && prev.thru > 0 && entry.thru > 0 && prev.toPar === entry.toPar ? prev.rank : i + 1;
+  });
+  return entries;
+}
 
-      return `
-        <tr class="${isCurrent ? 'current-hole-row' : ''}">
-          <td>${hi + 1}${isCurrent ? ' 📍' : ''}</td>
-          <td>${par}</td>
-          <td>${score ?? '–'}</td>
-          <td>${diffText}</td>
-        </tr>
-      `;
-    }).join('');
+function liveBoardHTML() {
+  if (!liveEvent?.snapshot) return '';
+
+  const snapshot = liveEvent.snapshot;
+  const entries = getLiveStandings(snapshot);
+  const rows = entries.map(e => `
+    <tr class="${e.id === liveEvent.group ? 'current-hole-row' : ''}">
+      <td>${e.thru > 0 ? (entries.some(o => o !== e && o.rank === e.rank) ? `T${e.rank}` : e.rank) : '–'}</td>
+      <td>${escapeHtml(e.name)}</td>
+      <td>${e.thru === snapshot.round.pars.length ? 'F' : e.thru}</td>
+      <td>${e.thru > 0 ? formatParDiff(e.toPar) : '–'}</td>
+    </tr>
+  `).join('');
+
+  // Another device can take over a group whose scorer dropped out
+  const others = gameStarted
+    ? snapshot.groups.filter(g => g.id !== liveEvent.group && /^[a-z0-9]+$/.test(g.id))
+    : [];
+  const takeOver = others.map(g => `
+    <button class="btn secondary compact" type="button" onclick="takeOverLiveGroup('${g.id}')">
+      Score ${escapeHtml(g.label)} here
+    </button>
+  `).join('');
+
+  return `
+    <strong>📡 Live event ${escapeHtml(snapshot.code)}</strong>
+    <span>${escapeHtml(snapshot.round.label)} · ${snapshot.groups.length} group${snapshot.groups.length === 1 ? '' : 's'}</span>
+    <table class="scorecard live-board">
+      <thead>
+        <tr><th>Pos</th><th>Player</th><th>Thru</th><th>To par</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+    ${takeOver ? `<details class="live-groups"><summary>Take over a group</summary>${takeOver}</details>` : ''}
+  `;
+}
 
-    return `
-      <div class="modal-scorecard">
-        <h3>#${rank} – ${escapeHtml(player.name)}</h3>
-        <table class="scorecard">
-          <thead>
-            <tr><th>Hole</th><th>Par</th><th>Score</th><th>+/−</th></tr>
-          </thead>
-          <tbody>
-            ${rows}
-            <tr class="total-row">
-              <td><strong>Total</strong></td>
-              <td><strong>${parPlayed}</strong></td>
-              <td><strong>${player.total}</strong></td>
-              <td><strong>${getParDifferential(player)}</strong></td>
-            </tr>
-          </tbody>
-        </table>
-      </div>
-    `;
-  }).join('');
+// Live boards in the open scorecard modal and on the summary screen
+function renderLiveBoards() {
+  const html = liveBoardHTML();
+  document.querySelectorAll('.live-board-panel').forEach(panel => {
+    panel.innerHTML = html;
+    panel.classList.toggle('hidden', !html);
+  });
+}
 
-  modal.classList.add('active');
-  modal.setAttribute('aria-hidden', 'false');
-  document.body.style.overflow = 'hidden';
-  history.pushState({ modal: 'scorecards' }, '', '#scorecards');
+/**
+ * Continue scoring another group of the event on this device
+ * @param {string} id - Group id from the event snapshot
+ */
+function takeOverLiveGroup(id) {
+  const group = liveEvent?.snapshot?.groups.find(g => g.id === id);
+  if (!group || !gameStarted || playoff) return;
+
+  showConfirm({
+    title: `Score ${group.label} on this device?`,
+    message: 'Your own group\'s scores stay in the event.',
+    confirmLabel: 'Take over'
+  }).then(ok => {
+    if (ok) adoptLiveGroup(id);
+  });
 }
 
-function hideScorecards() {
-  const modal = $('scorecardModal');
-  if (modal) {
-    modal.classList.remove('active');
-    modal.setAttribute('aria-hidden', 'true');
-  }
-  document.body.style.overflow = '';
+// Replace this device's players with another group's, as last seen on the server
+function adoptLiveGroup(id) {
+  const group = liveEvent?.snapshot?.groups.find(g => g.id === id);
+  if (!group || !gameStarted || playoff) return;
+
+  players = group.players.map(p => {
+    const scores = p.scores.map(cell => cell ? cell.v : null);
+    return {
+      name: p.name,
+      handicap: parseHandicap(p.handicap),
+      scores,
+      total: getPlayerTotal(scores)
+    };
+  });
+  teams = null;
+  scoreLog = [];
+  clearUndo();
+  liveEvent.group = id;
+  liveEvent.stamps = group.players.map(p => p.scores.map(cell => cell ? [cell.t, cell.d] : null));
 
-  if (window.location.hash === '#scorecards') {
-    history.back();
-  }
+  // Carry on from the first hole the group hasn't finished
+  const next = roundHoles.findIndex((h, hi) => players.some(p => p.scores[hi] === null));
+  currentHole = next === -1 ? roundHoles.length - 1 : next;
+  history.replaceState({ hole: currentHole, game: true }, '', `#hole${currentHole + 1}`);
+
+  renderHole();
+  if ($('scorecardModal')?.classList.contains('active')) renderScorecards();
+  saveState();
+  pushLiveEvent();
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-// Quit Game
+// Offline & Updates
 ////////////////////////////////////////////////////////////////////////////////
-function confirmQuit() {
-  if (confirm('Quit current quest?\n\nAll progress will be lost.')) {
-    quitGame();
-  }
-}
+// sw.js precaches the app for the dead zones around the course. A new deploy
+// installs in the background and waits; the player picks when to reload so a
+// round is never interrupted (the game itself survives the reload via saveState).
+let waitingWorker = null;
+let updateRequested = false;
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return;
+
+  navigator.serviceWorker.register(SERVICE_WORKER_URL)
+    .then(reg => {
+      if (reg.waiting && navigator.serviceWorker.controller) showUpdateBanner(reg.waiting);
+
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        worker?.addEventListener('statechange', () => {
+          // The very first install has no older version to replace
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+        });
+      });
+    })
+    .catch(err => console.error('Service worker registration failed:', err));
 
-function quitGame() {
-  localStorage.removeItem(STORAGE_KEY);
-  resetGame();
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!updateRequested) return;
+    updateRequested = false;
+    window.location.reload();
+  });
 }
 
-function resetGame() {
-  currentCourse = 'dragon';
-  currentHole = 0;
-  players = [];
-  gameStarted = false;
+function showUpdateBanner(worker) {
+  waitingWorker = worker;
 
-  const container = $$('.container');
-  const mobileButtonBar = $('mobileButtonBar');
-  const playerSetup = $('playerSetup');
-  const holePlay = $('holePlay');
-  const summarySection = $('summarySection');
-  const playerInputs = $('playerInputs');
+  // Nobody taps the front-desk screen, so it updates by itself
+  if (isTvMode()) {
+    applyUpdate();
+    return;
+  }
 
-  if (container) container.classList.remove('gameplay');
-  if (mobileButtonBar) mobileButtonBar.classList.remove('active');
+  $('updateBanner')?.classList.remove('hidden');
+}
 
-  showCourseSelection();
-  if (playerSetup) playerSetup.classList.remove('hidden');
-  if (holePlay) holePlay.classList.remove('active');
-  if (summarySection) summarySection.classList.remove('active');
+function applyUpdate() {
+  if (!waitingWorker) return;
 
-  if (playerInputs) {
-    playerInputs.innerHTML = `
-      <div class="player-input">
-        <input type="text" placeholder="Player 1 name" aria-label="Name of Player 1" maxlength="20" autocomplete="off" autocapitalize="words">
-        <button type="button" onclick="removePlayer(this)" aria-label="Remove player">×</button>
-      </div>
-      <div class="player-input">
-        <input type="text" placeholder="Player 2 name" aria-label="Name of Player 2" maxlength="20" autocomplete="off" autocapitalize="words">
-        <button type="button" onclick="removePlayer(this)" aria-label="Remove player">×</button>
-      </div>
-    `;
-  }
+  updateRequested = true;
+  $('updateBanner')?.classList.add('hidden');
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
 }
 
-function newGame() {
-  localStorage.removeItem(STORAGE_KEY);
-  resetGame();
+function dismissUpdate() {
+  $('updateBanner')?.classList.add('hidden');
 }
 
 ////////////////////////////////////////////////////////////////////////////////
-// State Persistence
+// Notifications
 ////////////////////////////////////////////////////////////////////////////////
-function saveState() {
-  try {
-    const state = {
-      course: currentCourse,
-      hole: currentHole,
-      players: players.map(p => ({ name: p.name, scores: p.scores })),
-      gameStarted
-    };
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-  } catch (e) {
-    console.error('Failed to save game state:', e);
-    // Don't show alert for every save failure, just log it
-  }
+// Toasts never block play: they queue up, show a few at a time and dismiss
+// themselves. Screen readers hear them through the live regions in index.html,
+// politely for info and success, straight away for warnings and errors.
+const toastTypes = {
+  info: { icon: 'ℹ️', ms: 3500 },
+  success: { icon: '✅', ms: 3000 },
+  warning: { icon: '⚠️', ms: 5000, urgent: true },
+  error: { icon: '⛔', ms: 7000, urgent: true },
+  achievement: { icon: '🏅', ms: 4000 }
+};
+const MAX_VISIBLE_TOASTS = 3;
+const TOAST_EXIT_MS = 200;
+
+let toastQueue = [];
+let activeToasts = [];
+let confirmState = null; // { resolve, returnFocus } while the confirm dialog is open
+let confirmQueue = Promise.resolve();
+
+/**
+ * Show a non-blocking notification
+ * @param {string} message - Main text
+ * @param {string} [type='info'] - Key of toastTypes
+ * @param {Object} [options] - { icon, detail, duration } overriding the type's defaults
+ */
+function showToast(message, type = 'info', options = {}) {
+  const kind = toastTypes[type] || toastTypes.info;
+  const toast = {
+    message: String(message),
+    type: toastTypes[type] ? type : 'info',
+    icon: options.icon ?? kind.icon,
+    detail: options.detail ?? '',
+    duration: options.duration ?? kind.ms,
+    el: null,
+    timer: null
+  };
+
+  // Repeated taps shouldn't stack up the same message
+  const same = t => t.message === toast.message && t.detail === toast.detail;
+  if (activeToasts.some(same) || toastQueue.some(same)) return;
+
+  toastQueue.push(toast);
+  drainToasts();
 }
 
-function loadState() {
-  let raw;
-  try {
-    raw = localStorage.getItem(STORAGE_KEY);
-  } catch (e) {
-    console.error('Failed to access localStorage:', e);
-    return false;
+function drainToasts() {
+  const layer = $('toastLayer');
+  if (!layer) return;
+
+  while (activeToasts.length < MAX_VISIBLE_TOASTS && toastQueue.length > 0) {
+    const toast = toastQueue.shift();
+    const el = document.createElement('div');
+    el.className = `toast toast-${toast.type}`;
+    el.innerHTML = `
+      <span class="toast-icon" aria-hidden="true">${toast.icon}</span>
+      <span class="toast-text">
+        <strong>${escapeHtml(toast.message)}</strong>
+        ${toast.detail ? `<small>${escapeHtml(toast.detail)}</small>` : ''}
+      </span>
+      <button class="toast-close" type="button" aria-label="Dismiss">×</button>
+    `;
+    el.querySelector('.toast-close').addEventListener('click', () => dismissToast(toast));
+
+    toast.el = el;
+    toast.timer = setTimeout(() => dismissToast(toast), toast.duration);
+    layer.appendChild(el);
+    activeToasts.push(toast);
+    announce(toast.detail ? `${toast.message}. ${toast.detail}` : toast.message, toastTypes[toast.type].urgent, toast.duration);
   }
+}
 
-  if (!raw) return false;
+function dismissToast(toast) {
+  if (!activeToasts.includes(toast)) return;
 
-  try {
-    const parsed = JSON.parse(raw);
-    const { course, hole, players: ps, gameStarted: gs } = parsed;
+  clearTimeout(toast.timer);
+  activeToasts = activeToasts.filter(t => t !== toast);
+  toast.el.classList.add('leaving');
+  setTimeout(() => {
+    toast.el.remove();
+    drainToasts();
+  }, TOAST_EXIT_MS);
+}
 
-    // Validate loaded data
-    if (!isValidCourse(course)) {
-      console.warn('Invalid course in saved state, using default');
-      localStorage.removeItem(STORAGE_KEY);
-      return false;
-    }
+// Read a message out. Each one is added as its own line, so toasts in quick
+// succession (or a repeat of the same text) are all announced.
+function announce(text, urgent = false, duration = toastTypes.info.ms) {
+  const region = $(urgent ? 'toastAlert' : 'toastStatus');
+  if (!region) return;
 
-    if (!Array.isArray(ps) || ps.length === 0) {
-      console.warn('Invalid players data in saved state');
-      localStorage.removeItem(STORAGE_KEY);
-      return false;
-    }
+  const line = document.createElement('div');
+  line.textContent = text;
+  region.appendChild(line);
+  setTimeout(() => line.remove(), duration);
+}
 
-    if (typeof hole !== 'number' || hole < 0 || hole >= HOLES_COUNT) {
-      console.warn('Invalid hole number in saved state');
-      localStorage.removeItem(STORAGE_KEY);
-      return false;
+/**
+ * Ask the player to confirm an action in an in-app dialog. Requests made while
+ * the dialog is open wait their turn.
+ * @param {Object} options - Dialog text
+ * @param {string} options.title - Question
+ * @param {string} [options.message] - Consequences, shown under the question
+ * @param {string} [options.confirmLabel='OK'] - Confirm button label
+ * @param {string} [options.cancelLabel='Cancel'] - Cancel button label
+ * @param {boolean} [options.danger=false] - Whether confirming throws something away
+ * @returns {Promise<boolean>} Resolves true if confirmed, false if cancelled
+ */
+function showConfirm({ title, message = '', confirmLabel = 'OK', cancelLabel = 'Cancel', danger = false }) {
+  const result = confirmQueue.then(() => new Promise(resolve => {
+    const dialog = $('confirmDialog');
+    if (!dialog) {
+      resolve(false);
+      return;
     }
 
-    currentCourse = course;
-    gameStarted = gs;
-
-    if (gameStarted) {
-      showCourseDisplay();
-    } else {
-      showCourseSelection();
-    }
+    $('confirmTitle').textContent = title;
+    $('confirmMessage').textContent = message;
+    $('confirmMessage').classList.toggle('hidden', !message);
+    $('confirmOk').textContent = confirmLabel;
+    $('confirmOk').classList.toggle('danger', danger);
+    $('confirmCancel').textContent = cancelLabel;
+
+    confirmState = { resolve, returnFocus: document.activeElement };
+    dialog.classList.add('active');
+    dialog.setAttribute('aria-hidden', 'false');
+    // Cancel is the safe default for a stray Enter
+    $('confirmCancel').focus();
+  }));
 
-    // Safely map players with validation
-    players = ps.map(p => ({
-      name: (p && p.name) ? String(p.name).slice(0, 20) : 'Player',
-      scores: (p && Array.isArray(p.scores) && p.scores.length === HOLES_COUNT)
-        ? p.scores.map(s => (s !== null && isValidScore(s)) ? s : null)
-        : Array(HOLES_COUNT).fill(null),
-      total: 0 // Will be recalculated
-    }));
+  confirmQueue = result.then(() => undefined);
+  return result;
+}
 
-    // Recalculate totals
-    players.forEach(p => {
-      p.total = p.scores.filter(s => s !== null).reduce((a, b) => a + b, 0);
-    });
+function settleConfirm(confirmed) {
+  if (!confirmState) return;
 
-    const playerSetupEl = $('playerSetup');
-    const holePlayEl = $('holePlay');
-    if (playerSetupEl) playerSetupEl.classList.add('hidden');
-    if (holePlayEl) holePlayEl.classList.add('active');
+  const { resolve, returnFocus } = confirmState;
+  confirmState = null;
 
-    currentHole = hole;
-    // Restore history state for back button support
-    history.replaceState({ hole: currentHole, game: true }, '', `#hole${currentHole + 1}`);
-    renderHole();
-    updateMobileButtons();
+  const dialog = $('confirmDialog');
+  if (dialog) {
+    dialog.classList.remove('active');
+    dialog.setAttribute('aria-hidden', 'true');
+  }
+  if (returnFocus && typeof returnFocus.focus === 'function') returnFocus.focus();
+  resolve(confirmed);
+}
 
-    return true;
-  } catch (e) {
-    console.error('Failed to load saved state (corrupted data?):', e);
-    // Clean up corrupted data
-    try {
-      localStorage.removeItem(STORAGE_KEY);
-    } catch (removeErr) {
-      console.error('Failed to remove corrupted state:', removeErr);
-    }
-    return false;
+// Escape cancels; Tab stays on the dialog's buttons
+function handleConfirmKeydown(e) {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    settleConfirm(false);
+  } else if (e.key === 'Tab') {
+    const ok = $('confirmOk');
+    const cancel = $('confirmCancel');
+    e.preventDefault();
+    (document.activeElement === cancel ? ok : cancel).focus();
   }
 }
 
@@ -883,16 +6063,7 @@ function $$(selector) {
  * @returns {boolean} True if valid
  */
 function isValidCourse(course) {
-  return course && courseNames.hasOwnProperty(course) && coursePars.hasOwnProperty(course);
-}
-
-/**
- * Validate score is within acceptable bounds
- * @param {number} strokes - The score to validate
- * @returns {boolean} True if valid (1-11)
- */
-function isValidScore(strokes) {
-  return Number.isInteger(strokes) && strokes >= 1 && strokes <= 11;
+  return Boolean(course) && Object.prototype.hasOwnProperty.call(courses, course);
 }
 
 /**
@@ -910,34 +6081,83 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
-function showToast(message) {
-  // Simple alert for now - could be enhanced with a toast UI
-  alert(message);
-}
-
 ////////////////////////////////////////////////////////////////////////////////
 // Event Listeners
 ////////////////////////////////////////////////////////////////////////////////
+// However a score was entered, the hole, the saved game and the live board follow
+game.subscribe(change => {
+  if (change.type === 'roster') {
+    if (change.order) remapPlayerIndices(change.order);
+    if (change.action === 'add' && liveEvent) {
+      liveEvent.stamps.push(players[change.player].scores.map(() => null));
+      players[change.player].scores.forEach((s, hi) => {
+        if (s !== null) stampLiveScore(change.player, hi);
+      });
+    }
+    renderHole();
+    saveState();
+    pushLiveEvent();
+    if ($('scorecardModal')?.classList.contains('active')) renderScorecards();
+    return;
+  }
+
+  if (change.type !== 'score') return;
+  change.players.forEach((idx, i) => {
+    if (change.previous[i] !== change.strokes) {
+      logScoreChange(change.hole, idx, change.previous[i], change.strokes, change.source);
+    }
+  });
+  if (gameStarted) {
+    renderHole();
+    saveState();
+  } else {
+    updateFinishedRound();
+  }
+  pushLiveEvent();
+  if ($('scorecardModal')?.classList.contains('active')) renderScorecards();
+});
+
 window.addEventListener('popstate', (e) => {
+  // Back cancels an open confirm dialog and then navigates as usual
+  settleConfirm(false);
+
   // First check if modal is open and close it
   const modal = $('scorecardModal');
   if (modal && modal.classList.contains('active')) {
-    modal.classList.remove('active');
-    modal.setAttribute('aria-hidden', 'true');
-    document.body.style.overflow = '';
+    closeScorecardModal();
+    return;
+  }
+
+  // Then the course admin, which goes back to the history screen
+  const adminSection = $('adminSection');
+  if (adminSection && adminSection.classList.contains('active')) {
+    closeAdmin();
+    return;
+  }
+
+  // Then the history screen
+  const historySection = $('historySection');
+  if (historySection && historySection.classList.contains('active')) {
+    closeHistory();
     return;
   }
 
-  // Handle gameplay navigation (browser back = previous hole)
+  // Handle gameplay navigation: every hole entry carries its hole, so back and
+  // forward land where the player was, jumps included
   if (gameStarted) {
-    if (currentHole === 0) {
-      // On first hole, go back to setup
-      goBackToSetup();
-    } else {
-      // Go to previous hole - don't push new state, let browser history work naturally
-      currentHole--;
+    const hole = e.state?.game ? e.state.hole : undefined;
+    if (playoff) {
+      previousPlayoffHole();
+    } else if (Number.isInteger(hole) && hole >= 0 && hole < getHoleCount()) {
+      currentHole = hole;
       renderHole();
       saveState();
+    } else if (e.state?.modal) {
+      // Forward onto a closed scorecard entry; stay on the hole
+      history.replaceState({ hole: currentHole, game: true }, '', `#hole${currentHole + 1}`);
+    } else {
+      // Back past the first hole's entry goes to setup
+      goBackToSetup();
     }
   }
 });
@@ -946,7 +6166,23 @@ window.addEventListener('resize', updateMobileButtons);
 window.addEventListener('orientationchange', () => setTimeout(updateMobileButtons, 100));
 
 document.addEventListener('keydown', (e) => {
-  if (!gameStarted) return;
+  if (confirmState) {
+    handleConfirmKeydown(e);
+    return;
+  }
+  // Typing in a field (course admin, hand-off link) isn't a shortcut
+  if (!gameStarted || e.target.matches?.('input, textarea') || handleScoreKey(e)) return;
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes (⌘ on a Mac)
+  if ((e.ctrlKey || e.metaKey) && ['z', 'y'].includes(e.key.toLowerCase())) {
+    e.preventDefault();
+    if (e.key.toLowerCase() === 'y' || e.shiftKey) {
+      redo();
+    } else {
+      undo();
+    }
+    return;
+  }
 
   switch (e.key) {
     case 'ArrowLeft':
@@ -955,7 +6191,7 @@ document.addEventListener('keydown', (e) => {
       break;
     case 'ArrowRight':
       e.preventDefault();
-      if (players.every(p => p.scores[currentHole] !== null)) {
+      if (isHoleComplete(game.round, currentHole)) {
         nextHole();
       }
       break;
@@ -977,11 +6213,32 @@ document.addEventListener('touchstart', () => {}, { passive: true });
 // Initialize
 ////////////////////////////////////////////////////////////////////////////////
 document.addEventListener('DOMContentLoaded', () => {
-  attachCourseListeners();
+  const tvMode = isTvMode();
+  if (tvMode) document.body.classList.add('tv-mode');
+  registerServiceWorker();
+  renderSoundToggle();
+  renderEntryModeSwitch();
+
+  // Everything depends on the course manifest, so wait for it first
+  loadCourses().then(() => {
+    if (tvMode) {
+      startTvMode();
+      return;
+    }
 
-  if (!loadState()) {
-    showCourseSelection();
-  }
+    // A round handed over from another device (#round=...) replaces the saved one
+    const shared = window.location.hash.startsWith(SHARE_HASH_PREFIX)
+      ? importSharedRound(window.location.hash.slice(SHARE_HASH_PREFIX.length))
+      : Promise.resolve(false);
 
-  updateMobileButtons();
+    return shared.then(imported => {
+      if (!loadState()) {
+        showCourseSelection();
+        renderSuspendedRounds();
+        if (imported) showToast('The shared round couldn\'t be opened on this device', 'error');
+      }
+
+      updateMobileButtons();
+    });
+  });
 });
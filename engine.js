@@ -0,0 +1,970 @@
+// engine.js - Royal Mini Golf Quest game engine
+//
+// The rules of a round without the page: score descriptions, handicaps, scoring
+// formats, tiebreakers, max strokes, teams, roster changes, standings and how
+// live event scores merge.
+// Everything works on a round object ({ course, holes, pars, scoring, format,
+// tiebreaker, maxStrokes, playoff, teams, players }) passed in, never on the
+// game in progress, and createGame() wraps a round for the UI to record scores
+// into and render from.
+//
+// Loaded before app.js, and in Node with require('./engine.js') to play rounds
+// without a browser; test/engine.test.js runs the rules that way (npm test).
+'use strict';
+
+const MAX_STROKES = 30; // Even unlimited rounds stop here; share links store a score as one base-36 digit
+const MAX_HANDICAP = 54;
+const HANDICAP_BASE_HOLES = 18;
+
+////////////////////////////////////////////////////////////////////////////////
+// Scoring Helpers
+////////////////////////////////////////////////////////////////////////////////
+function getScoreDescription(strokes, par) {
+  const diff = strokes - par;
+
+  if (strokes === 1) return { text: 'Hole in One! ⭐', class: 'hole-in-one' };
+  if (diff <= -2) return { text: `Eagle! (${diff}) 🦅`, class: 'eagle' };
+  if (diff === -1) return { text: 'Birdie! (−1) 🐦', class: 'birdie' };
+  if (diff === 0) return { text: 'Par ✓', class: 'par' };
+  if (diff === 1) return { text: 'Bogey (+1)', class: 'bogey' };
+  if (diff === 2) return { text: 'Double Bogey (+2)', class: 'double-bogey' };
+  return { text: `+${diff}`, class: 'high-score' };
+}
+
+/**
+ * Score relative to par over the holes played so far
+ * @param {Object} round - Round the player is in ({ pars })
+ * @param {Object} player - Player with scores and total
+ * @param {boolean} [net] - Subtract the player's handicap strokes
+ * @returns {string} "E", "+n" or "-n"
+ */
+function getParDifferential(round, player, net = false) {
+  // Validate inputs
+  if (!player || !player.scores) return 'E';
+  if (!round || !Array.isArray(round.pars)) return 'E';
+
+  let parTotal = 0;
+  let strokes = 0;
+  let holesPlayed = 0;
+  const pars = round.pars;
+  const allowance = net ? getHandicapStrokes(player.handicap, pars.length) : null;
+
+  for (let i = 0; i < pars.length; i++) {
+    if (player.scores[i] !== null && player.scores[i] !== undefined) {
+      parTotal += pars[i];
+      strokes += player.scores[i] - (allowance ? allowance[i] : 0);
+      holesPlayed++;
+    }
+  }
+
+  if (holesPlayed === 0) return 'E';
+
+  return formatParDiff(strokes - parTotal);
+}
+
+function formatParDiff(diff) {
+  if (diff === 0) return 'E';
+  return diff > 0 ? `+${diff}` : `${diff}`;
+}
+
+// Gross strokes over the holes played
+function getPlayerTotal(scores) {
+  return scores.filter(s => s !== null).reduce((sum, s) => sum + s, 0);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Handicaps
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Validate a handicap (strokes per 18 holes)
+ * @param {number} handicap - The handicap to validate
+ * @returns {boolean} True if valid (0-MAX_HANDICAP)
+ */
+function isValidHandicap(handicap) {
+  return Number.isInteger(handicap) && handicap >= 0 && handicap <= MAX_HANDICAP;
+}
+
+function parseHandicap(value) {
+  const n = parseInt(value, 10);
+  return isValidHandicap(n) ? n : 0;
+}
+
+/**
+ * Spread a player's handicap evenly over the holes of a round.
+ * Handicaps are quoted per 18 holes and scaled to the round length.
+ * @param {number} handicap - Strokes per 18 holes
+ * @param {number} holeCount - Holes in the round
+ * @returns {number[]} Strokes received on each hole
+ */
+function getHandicapStrokes(handicap, holeCount) {
+  const allowance = Math.round((handicap || 0) * holeCount / HANDICAP_BASE_HOLES);
+  return Array.from({ length: holeCount }, (_, i) =>
+    Math.floor((i + 1) * allowance / holeCount) - Math.floor(i * allowance / holeCount)
+  );
+}
+
+function getNetTotal(player) {
+  const strokes = getHandicapStrokes(player.handicap, player.scores.length);
+  return player.scores.reduce((sum, s, i) => s === null ? sum : sum + s - strokes[i], 0);
+}
+
+/**
+ * Total used for ranking under the given scoring mode
+ * @param {Object} player - Player with scores, total and handicap
+ * @param {string} mode - 'gross' or 'net'
+ * @returns {number} Strokes counted towards the standings
+ */
+function getStandingTotal(player, mode) {
+  return mode === 'net' ? getNetTotal(player) : player.total;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Scoring Formats
+////////////////////////////////////////////////////////////////////////////////
+const scoringFormats = {
+  stroke: { label: 'Stroke play', hint: 'Fewest strokes wins', better: 'low' },
+  match: { label: 'Match play', hint: 'Two players win holes head-to-head', better: 'high', players: 2 },
+  stableford: { label: 'Stableford', hint: 'Points per hole – most points wins', better: 'high' },
+  skins: { label: 'Skins', hint: 'Win a hole outright to take its skin – ties carry over', better: 'high' }
+};
+
+// Stableford points keyed by getScoreDescription() class
+const stablefordPoints = {
+  'hole-in-one': 5,
+  'eagle': 4,
+  'birdie': 3,
+  'par': 2,
+  'bogey': 1,
+  'double-bogey': 0,
+  'high-score': 0
+};
+
+function isValidFormat(format) {
+  return Object.prototype.hasOwnProperty.call(scoringFormats, format);
+}
+
+/**
+ * Strokes counted on a hole, after handicap strokes in net mode
+ * @param {Object} round - Round ({ pars, scoring, players })
+ * @param {Object} player - Player in the round
+ * @param {number} hi - Hole index
+ * @returns {number|null} Strokes, or null if not played
+ */
+function getHoleScore(round, player, hi) {
+  const score = player.scores[hi];
+  if (score === null || score === undefined) return null;
+  if (round.scoring !== 'net') return score;
+  return score - getHandicapStrokes(player.handicap, round.pars.length)[hi];
+}
+
+function getStablefordPoints(strokes, par) {
+  return stablefordPoints[getScoreDescription(strokes, par).class] ?? 0;
+}
+
+// Holes everyone playing them has scored - match play and skins only settle these
+function isHoleComplete(round, hi) {
+  return round.players.every(p => (p.scores[hi] !== null && p.scores[hi] !== undefined) || !isPlayingHole(p, hi));
+}
+
+/**
+ * Settle skins hole by hole; tied holes carry their skins to the next hole
+ * @param {Object} round - Round to settle
+ * @returns {{won: number[], holes: Array, carry: number}} Skins per player, per-hole outcome and unclaimed skins
+ */
+function getSkins(round) {
+  const won = round.players.map(() => 0);
+  const holes = round.pars.map(() => null);
+  let carry = 0;
+
+  round.pars.forEach((par, hi) => {
+    if (!isHoleComplete(round, hi)) return;
+
+    // Holes settle between whoever played them; a withdrawn player's skins aren't ranked
+    const field = round.players.reduce((list, p, i) => isPlayingHole(p, hi) ? [...list, i] : list, []);
+    if (field.length === 0) return;
+
+    const scores = field.map(i => getHoleScore(round, round.players[i], hi));
+    const best = Math.min(...scores);
+    const winners = field.filter((i, k) => scores[k] === best);
+    const value = carry + 1;
+
+    if (winners.length === 1) {
+      won[winners[0]] += value;
+      holes[hi] = { winner: winners[0], value };
+      carry = 0;
+    } else {
+      holes[hi] = { winner: null, value };
+      carry = value;
+    }
+  });
+
+  return { won, holes, carry };
+}
+
+/**
+ * Head-to-head match between the first two players
+ * @param {Object} round - Round to settle
+ * @returns {Object} Holes up for player 0, per-hole results and a status line
+ */
+function getMatchState(round) {
+  const [a, b] = round.players;
+  const holes = round.pars.map(() => null);
+  let up = 0; // positive: player 0 leads
+  let played = 0;
+  let decidedAt = null;
+
+  round.pars.forEach((par, hi) => {
+    if (decidedAt !== null || !isHoleComplete(round, hi)) return;
+
+    const sa = getHoleScore(round, a, hi);
+    const sb = getHoleScore(round, b, hi);
+    holes[hi] = sa < sb ? 0 : sb < sa ? 1 : null;
+    up += sa < sb ? 1 : sb < sa ? -1 : 0;
+    played = hi + 1;
+
+    // The match is over once the lead can't be caught
+    if (Math.abs(up) > round.pars.length - played) decidedAt = played;
+  });
+
+  const toPlay = round.pars.length - played;
+  const leader = up > 0 ? a : b;
+  let status;
+
+  if (decidedAt !== null && toPlay > 0) {
+    status = `${leader.name} wins ${Math.abs(up)} & ${toPlay}`;
+  } else if (toPlay === 0) {
+    status = up === 0 ? 'Match halved' : `${leader.name} wins ${Math.abs(up)} UP`;
+  } else if (up === 0) {
+    status = played === 0 ? 'All square' : `All square with ${toPlay} to play`;
+  } else {
+    const dormie = Math.abs(up) === toPlay ? ' (dormie)' : '';
+    status = `${leader.name} ${Math.abs(up)} UP with ${toPlay} to play${dormie}`;
+  }
+
+  return { up, holes, played, toPlay, decided: decidedAt !== null || toPlay === 0, status };
+}
+
+/**
+ * Standings for a round under its scoring format. Equal values share a rank.
+ * @param {Object} round - Round ({ format, scoring, pars, players })
+ * @returns {{entries: Array, status: string, detail: Object|null}} Entries best first
+ */
+function getStandings(round) {
+  const format = isValidFormat(round.format) ? round.format : 'stroke';
+  let detail = null;
+  let status = '';
+  let entries;
+
+  switch (format) {
+    case 'stableford':
+      entries = round.players.map((player, index) => {
+        const value = player.scores.reduce((sum, s, hi) => {
+          const score = getHoleScore(round, player, hi);
+          return score === null ? sum : sum + getStablefordPoints(score, round.pars[hi]);
+        }, 0);
+        return { player, index, value, text: `${value} pts` };
+      });
+      break;
+
+    case 'skins': {
+      detail = getSkins(round);
+      entries = round.players.map((player, index) => {
+        const value = detail.won[index];
+        return { player, index, value, text: `${value} skin${value === 1 ? '' : 's'}` };
+      });
+      if (detail.carry > 0) {
+        status = `${detail.carry} skin${detail.carry === 1 ? '' : 's'} carried over`;
+      }
+      break;
+    }
+
+    case 'match': {
+      detail = getMatchState(round);
+      status = detail.status;
+      entries = round.players.slice(0, 2).map((player, index) => {
+        const value = index === 0 ? detail.up : -detail.up;
+        const text = value === 0 ? 'AS' : value > 0 ? `${value} UP` : `${-value} DN`;
+        return { player, index, value, text };
+      });
+      break;
+    }
+
+    default:
+      entries = round.players.map((player, index) => {
+        const value = getStandingTotal(player, round.scoring);
+        return { player, index, value, text: `${value}` };
+      });
+  }
+
+  // Withdrawn players stay on the scorecards but out of the standings
+  entries = entries.filter(entry => isRankedPlayer(entry.player));
+
+  const sign = scoringFormats[format].better === 'high' ? -1 : 1;
+  const standings = { format, entries, status, detail, decidedBy: null };
+
+  entries.forEach(entry => {
+    entry.tiebreak = getTiebreakKey(round, standings, entry);
+  });
+  entries.sort((x, y) =>
+    sign * (x.value - y.value) || compareTiebreakKeys(x.tiebreak, y.tiebreak) || x.index - y.index
+  );
+  entries.forEach((entry, i) => {
+    const prev = entries[i - 1];
+    const level = prev && entry.value === prev.value;
+    entry.rank = level && compareTiebreakKeys(entry.tiebreak, prev.tiebreak) === 0 ? prev.rank : i + 1;
+  });
+  entries.forEach(entry => {
+    entry.tied = entries.some(e => e !== entry && e.rank === entry.rank);
+  });
+
+  // Note when the winner only came out on top through the tiebreaker
+  if (entries.length > 1 && entries[0].rank !== entries[1].rank && entries[0].value === entries[1].value) {
+    standings.decidedBy = tiebreakers[round.tiebreaker]?.decided ?? null;
+  }
+
+  return standings;
+}
+
+/**
+ * Per-hole cell for the format column of a scorecard
+ * @param {Object} standings - Output of getStandings()
+ * @param {Object} round - The round
+ * @param {number} index - Player index in the round
+ * @param {number} hi - Hole index
+ * @returns {string} Cell text ('' for stroke play)
+ */
+function getFormatHoleCell(standings, round, index, hi) {
+  const player = round.players[index];
+  switch (standings.format) {
+    case 'stableford': {
+      const score = getHoleScore(round, player, hi);
+      return score === null ? '–' : String(getStablefordPoints(score, round.pars[hi]));
+    }
+    case 'skins': {
+      const hole = standings.detail.holes[hi];
+      if (!hole) return '–';
+      return hole.winner === index ? `💰${hole.value > 1 ? ` ×${hole.value}` : ''}` : hole.winner === null ? '↷' : '';
+    }
+    case 'match': {
+      const result = standings.detail.holes[hi];
+      if (index > 1 || !isHoleComplete(round, hi) || hi >= standings.detail.played) return '–';
+      return result === null ? 'H' : result === index ? 'W' : 'L';
+    }
+    default:
+      return '';
+  }
+}
+
+const formatColumnHeaders = { stableford: 'Pts', skins: 'Skin', match: 'Hole' };
+
+////////////////////////////////////////////////////////////////////////////////
+// Tiebreakers
+////////////////////////////////////////////////////////////////////////////////
+const tiebreakers = {
+  share: { label: 'Share the placing', decided: null },
+  countback: { label: 'Countback – last 9, 6, 3, then 1 holes', decided: 'on countback' },
+  fewest: { label: 'Fewest blow-up holes', decided: 'on fewest blow-up holes' },
+  playoff: { label: 'Sudden-death playoff', decided: 'in a sudden-death playoff' }
+};
+
+const COUNTBACK_SEGMENTS = [9, 6, 3, 1];
+
+const BLOW_UP_STROKES = 11;
+
+function isValidTiebreaker(tiebreaker) {
+  return Object.prototype.hasOwnProperty.call(tiebreakers, tiebreaker);
+}
+
+/**
+ * What a single hole contributes to a player's standing, oriented so lower is better
+ * @returns {number|null} Hole value, or null when the format has no per-hole value
+ */
+function getFormatHoleValue(standings, round, index, hi) {
+  const player = round.players[index];
+  const score = getHoleScore(round, player, hi);
+  if (score === null) return 0;
+
+  switch (standings.format) {
+    case 'stroke':
+      return score;
+    case 'stableford':
+      return -getStablefordPoints(score, round.pars[hi]);
+    case 'skins': {
+      const hole = standings.detail.holes[hi];
+      return hole && hole.winner === index ? -hole.value : 0;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Sort key used to split players level on their standing value
+ * @param {Object} round - Round with tiebreaker and playoff
+ * @param {Object} standings - Standings being built
+ * @param {Object} entry - Entry to key
+ * @returns {number[]} Compared element by element, lower first
+ */
+function getTiebreakKey(round, standings, entry) {
+  switch (round.tiebreaker) {
+    case 'countback': {
+      const holeCount = round.pars.length;
+      const key = [];
+      for (const segment of COUNTBACK_SEGMENTS) {
+        if (segment > holeCount && segment !== COUNTBACK_SEGMENTS[0]) continue;
+        let sum = 0;
+        for (let hi = Math.max(0, holeCount - segment); hi < holeCount; hi++) {
+          const value = getFormatHoleValue(standings, round, entry.index, hi);
+          if (value === null) return [];
+          sum += value;
+        }
+        key.push(sum);
+      }
+      return key;
+    }
+    case 'fewest':
+      // Holes picked up at the max, or 11+ holes when every stroke counts
+      return [entry.player.scores.filter((s, hi) => s !== null &&
+        s >= (getStrokeCap(round.maxStrokes, round.pars[hi]) ?? BLOW_UP_STROKES)).length];
+    case 'playoff': {
+      // Survived more playoff holes = better; everyone else is unaffected
+      const playoff = round.playoff;
+      if (!playoff || !playoff.entrants.includes(entry.index)) return [];
+      const survived = playoff.holes.filter(h => h.survivors && h.survivors.includes(entry.index)).length;
+      return [-survived];
+    }
+    default:
+      return [];
+  }
+}
+
+function compareTiebreakKeys(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] ?? 0) - (b[i] ?? 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Placing as shown to players: "1", or "T2" when shared
+ * @param {Object} entry - Standings entry
+ * @returns {string} Formatted placing
+ */
+function formatRank(entry) {
+  return `${entry.tied ? 'T' : ''}${entry.rank}`;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Max Strokes
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Validate score is within acceptable bounds
+ * @param {number} strokes - The score to validate
+ * @returns {boolean} True if valid (1 to MAX_STROKES; see getStrokeCap() for the round's rule)
+ */
+function isValidScore(strokes) {
+  return Number.isInteger(strokes) && strokes >= 1 && strokes <= MAX_STROKES;
+}
+
+// House rules for picking up: a hole scores at most the cap, so totals follow the
+// rule, and scorecards mark holes scored at the cap as picked up
+const maxStrokeRules = {
+  unlimited: { label: 'Unlimited – every stroke counts', cap: () => null },
+  six: { label: 'Pick up at 6', cap: () => 6 },
+  parPlus3: { label: 'Pick up at par + 3', cap: par => par + 3 }
+};
+
+function isValidMaxStrokes(rule) {
+  return Object.prototype.hasOwnProperty.call(maxStrokeRules, rule);
+}
+
+/**
+ * Most strokes a hole can score under a rule
+ * @param {string} [rule] - Key of maxStrokeRules; rounds from before the rule are unlimited
+ * @param {number} par - Par of the hole (per player in team rounds)
+ * @returns {number|null} The cap, or null when every stroke counts
+ */
+function getStrokeCap(rule, par) {
+  return (maxStrokeRules[rule] ?? maxStrokeRules.unlimited).cap(par);
+}
+
+// Aggregate team strokes add up several balls, so no single hole was picked up
+function isCappedScore(round, hi, score) {
+  if (score === null || round.source?.teams.mode === 'aggregate') return false;
+  const cap = getStrokeCap(round.maxStrokes, round.pars[hi]);
+  return cap !== null && score >= cap;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Teams
+////////////////////////////////////////////////////////////////////////////////
+const teamModes = {
+  bestball: { label: 'Best ball', hint: 'Lowest score on the team counts each hole' },
+  aggregate: { label: 'Aggregate', hint: "Every teammate's strokes add up" },
+  scramble: { label: 'Scramble', hint: 'One score entered per team each hole' }
+};
+
+function isValidTeamMode(mode) {
+  return Object.prototype.hasOwnProperty.call(teamModes, mode);
+}
+
+/**
+ * Check a saved team layout: every player on exactly one of at least two teams
+ * @param {Object} value - Candidate teams ({ mode, list: [{ name, members }] })
+ * @param {number} playerCount - Players in the round
+ * @returns {boolean}
+ */
+function isValidTeams(value, playerCount) {
+  if (!value || !isValidTeamMode(value.mode) || !Array.isArray(value.list) || value.list.length < 2) return false;
+
+  const seen = new Set();
+  const valid = value.list.every(team =>
+    team && typeof team.name === 'string' && Array.isArray(team.members) && team.members.length > 0 &&
+    team.members.every(i => Number.isInteger(i) && i >= 0 && i < playerCount && !seen.has(i) && seen.add(i))
+  );
+  return valid && seen.size === playerCount;
+}
+
+/**
+ * Group players by the team name typed in setup (case-insensitive).
+ * Players left blank alternate between Team 1 and Team 2.
+ * @param {string[]} names - Team name per player
+ * @returns {Array} Teams ({ name, members }) in order of first appearance
+ */
+function groupTeams(names) {
+  const byKey = new Map();
+
+  names.forEach((raw, i) => {
+    const name = (String(raw).trim() || `Team ${(i % 2) + 1}`).slice(0, 20);
+    const key = name.toLowerCase();
+    if (!byKey.has(key)) byKey.set(key, { name, members: [] });
+    byKey.get(key).members.push(i);
+  });
+
+  return [...byKey.values()];
+}
+
+/**
+ * Team strokes on a hole, once every teammate playing it has a score
+ * @param {Object} round - Round with teams
+ * @param {Object} team - Team ({ name, members })
+ * @param {number} hi - Hole index
+ * @returns {number|null} Team strokes, or null if not complete
+ */
+function getTeamHoleScore(round, team, hi) {
+  // Teammates who joined later or withdrew don't count on the holes they missed
+  const counted = team.members.filter(i => isPlayingHole(round.players[i], hi));
+  const scores = counted.map(i => getHoleScore(round, round.players[i], hi));
+  if (scores.length === 0 || scores.some(s => s === null)) return null;
+
+  switch (round.teams.mode) {
+    case 'aggregate':
+      return scores.reduce((a, b) => a + b, 0);
+    case 'scramble':
+      // Teammates share the one ball, and scrambles are played off scratch
+      return round.players[counted[0]].scores[hi];
+    default:
+      return Math.min(...scores);
+  }
+}
+
+/**
+ * The round as played between teams. Each team becomes a player whose scores are
+ * the team strokes per hole, so standings, formats and the leaderboard apply as-is.
+ * Handicaps are already taken off, and aggregate pars count once per teammate.
+ * @param {Object} round - Round with teams
+ * @returns {Object} Round of team entries; each keeps its members and the source round
+ */
+function getTeamRound(round) {
+  const { mode, list } = round.teams;
+  const size = mode === 'aggregate' ? list[0].members.length : 1;
+
+  return {
+    ...round,
+    pars: round.pars.map(par => par * size),
+    scoring: 'gross',
+    playoff: null,
+    teams: null,
+    source: round,
+    players: list.map(team => {
+      const scores = round.pars.map((par, hi) => getTeamHoleScore(round, team, hi));
+      return {
+        name: team.name,
+        handicap: 0,
+        scores,
+        total: scores.reduce((sum, s) => sum + (s ?? 0), 0),
+        members: team.members.map(i => round.players[i])
+      };
+    })
+  };
+}
+
+// The side that gets ranked: teams when playing in teams, otherwise the players
+function getRankedRound(round) {
+  return round.teams ? getTeamRound(round) : round;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Roster Changes
+////////////////////////////////////////////////////////////////////////////////
+// Players can join a round late and withdraw from it. A late player's `joined`
+// is the first hole index they play and a withdrawn player's `withdrawn` the
+// first hole index they miss; players who play the whole round have neither.
+
+// How a late player's missed holes are scored
+const lateJoinRules = {
+  blank: { label: 'Not played – unranked until every hole has a score', fill: () => null },
+  par: { label: 'Par on every hole missed', fill: par => par },
+  doubleBogey: { label: 'Double bogey on every hole missed', fill: par => par + 2 }
+};
+
+function isValidLateJoinRule(rule) {
+  return Object.prototype.hasOwnProperty.call(lateJoinRules, rule);
+}
+
+/**
+ * Scores a late player starts with: missed holes filled in by the rule, within the round's cap
+ * @param {string} rule - Key of lateJoinRules
+ * @param {number[]} pars - Par of every hole in the round
+ * @param {number} joined - First hole index the player plays
+ * @param {string} [maxStrokes] - Key of maxStrokeRules
+ * @returns {Array<number|null>} Scores
+ */
+function getLateJoinScores(rule, pars, joined, maxStrokes) {
+  const { fill } = lateJoinRules[rule] ?? lateJoinRules.blank;
+  return pars.map((par, hi) => {
+    const strokes = hi < joined ? fill(par) : null;
+    return strokes === null ? null : Math.min(strokes, getStrokeCap(maxStrokes, par) ?? MAX_STROKES);
+  });
+}
+
+function hasWithdrawn(player) {
+  return Number.isInteger(player.withdrawn);
+}
+
+// Whether the hole falls between the player joining and withdrawing
+function isPlayingHole(player, hi) {
+  return hi >= (player.joined ?? 0) && !(hasWithdrawn(player) && hi >= player.withdrawn);
+}
+
+// Withdrawn players, and late players with missed holes left unscored, aren't ranked
+function isRankedPlayer(player) {
+  return !hasWithdrawn(player) && player.scores.slice(0, player.joined ?? 0).every(s => s !== null);
+}
+
+// Scores the player actually played, without the fill-ins for holes missed before joining
+function getPlayedScores(player) {
+  return player.scores.map((s, hi) => (hi < (player.joined ?? 0) ? null : s));
+}
+
+/**
+ * Why players can't join or withdraw from a round
+ * @param {Object} round - Round in play
+ * @returns {string|null} Reason to show, or null when the roster can change
+ */
+function getRosterLock(round) {
+  if (round.playoff) return 'The playoff is between the tied leaders only';
+  if (round.format === 'match') return 'Match play is between the same two players all round';
+  if (round.teams?.mode === 'aggregate') return 'Aggregate teams need the same number of players';
+  return null;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Live Events
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * Order two score cells ({ v, t, d }: value, clock and the device that wrote
+ * it) from a live event. Later clock wins; equal clocks fall back to the device
+ * id and then the value, so sync-server.js and every device pick the same winner.
+ * @param {Object|null} a - Cell or null
+ * @param {Object|null} b - Cell or null
+ * @returns {number} > 0 when a wins
+ */
+function compareLiveCells(a, b) {
+  if (!a || !b) return a ? 1 : b ? -1 : 0;
+  if (a.t !== b.t) return a.t - b.t;
+  if (a.d !== b.d) return a.d < b.d ? -1 : 1;
+  return (a.v ?? 0) - (b.v ?? 0);
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// Round State
+////////////////////////////////////////////////////////////////////////////////
+/**
+ * A round's players as saved, keeping only what can be trusted: names and
+ * handicaps are tidied, scores that don't fit the round (or its cap) dropped,
+ * roster changes outside the round dropped and totals recomputed
+ * @param {Array} list - Saved players ({ name, handicap, scores })
+ * @param {number[]} pars - Par of every hole in the round
+ * @param {string} [rule] - Key of maxStrokeRules
+ * @returns {Array} Players ({ name, handicap, scores, total })
+ */
+function restorePlayers(list, pars, rule) {
+  const caps = pars.map(par => getStrokeCap(rule, par) ?? MAX_STROKES);
+  return list.map(p => {
+    const scores = (p && Array.isArray(p.scores) && p.scores.length === pars.length)
+      ? p.scores.map((s, hi) => (s !== null && isValidScore(s) && s <= caps[hi]) ? s : null)
+      : Array(pars.length).fill(null);
+    const player = {
+      name: (p && p.name) ? String(p.name).slice(0, 20) : 'Player',
+      handicap: p ? parseHandicap(p.handicap) : 0,
+      scores,
+      total: getPlayerTotal(scores)
+    };
+    if (p && Number.isInteger(p.joined) && p.joined > 0 && p.joined < pars.length) player.joined = p.joined;
+    if (p && Number.isInteger(p.withdrawn) && p.withdrawn >= 0 && p.withdrawn <= pars.length) player.withdrawn = p.withdrawn;
+    return player;
+  });
+}
+
+// A player as plain data; roster changes are only written when there are any
+function serializePlayer(player) {
+  const saved = { name: player.name, handicap: player.handicap, scores: player.scores.slice() };
+  if (player.joined) saved.joined = player.joined;
+  if (hasWithdrawn(player)) saved.withdrawn = player.withdrawn;
+  return saved;
+}
+
+/**
+ * A round as plain data for saving or sending; restorePlayers() reads the players back
+ * @param {Object} round - Round to save
+ * @returns {Object} JSON-safe copy without totals or team rounds
+ */
+function serializeRound(round) {
+  return {
+    course: round.course,
+    holes: round.holes.map(h => ({ course: h.course, hole: h.hole })),
+    pars: round.pars.slice(),
+    scoring: round.scoring,
+    format: round.format,
+    tiebreaker: round.tiebreaker,
+    maxStrokes: round.maxStrokes,
+    playoff: round.playoff ? JSON.parse(JSON.stringify(round.playoff)) : null,
+    teams: round.teams ? JSON.parse(JSON.stringify(round.teams)) : null,
+    players: round.players.map(serializePlayer)
+  };
+}
+
+/**
+ * Wrap a round so scores go in through one place and listeners hear about them.
+ * The round is used as given, not copied: the page passes a view of its game
+ * state and keeps rendering from it.
+ * @param {Object} round - Round to play
+ * @returns {Object} Game with the round, score recording, standings and subscribe()
+ */
+function createGame(round) {
+  const listeners = new Set();
+
+  const emit = change => {
+    listeners.forEach(listener => {
+      try {
+        listener(change, round);
+      } catch (e) {
+        console.error('Game listener failed:', e);
+      }
+    });
+  };
+
+  const canScore = (idx, hi, strokes) => Boolean(round.players[idx]) &&
+    Number.isInteger(hi) && hi >= 0 && hi < round.pars.length &&
+    (strokes === null || (isValidScore(strokes) && strokes <= (getStrokeCap(round.maxStrokes, round.pars[hi]) ?? MAX_STROKES)));
+
+  return {
+    round,
+
+    /**
+     * Listen for changes to the round
+     * @param {function(Object, Object): void} listener - Called with the change
+     *   ({ type: 'score', players, hole, strokes, previous, source } or
+     *   { type: 'roster', action, player, order }) and the round
+     * @returns {function(): void} Stops listening
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Record a hole's strokes for one or more players (a scramble team shares one score)
+     * @param {number|number[]} players - Player index or indices
+     * @param {number} hi - Hole index
+     * @param {number|null} strokes - Strokes, or null to clear the hole
+     * @param {string} [source] - Why the score changed, passed on to listeners
+     * @returns {boolean} Whether the score was recorded; nothing changes if any player can't take it
+     */
+    setScore(players, hi, strokes, source = 'entry') {
+      const indices = [].concat(players);
+      if (indices.length === 0 || !indices.every(idx => canScore(idx, hi, strokes))) return false;
+
+      const previous = indices.map(idx => round.players[idx].scores[hi]);
+      indices.forEach(idx => {
+        const player = round.players[idx];
+        player.scores[hi] = strokes;
+        player.total = getPlayerTotal(player.scores);
+      });
+      emit({ type: 'score', players: indices, hole: hi, strokes, previous, source });
+      return true;
+    },
+
+    /**
+     * Add a player after the round has started. Holes before `hole` are filled
+     * in by the late-join rule; in team play they count for nobody and the player
+     * joins the given team.
+     * @param {Object} player - { name, handicap }
+     * @param {number} hole - First hole index the player plays
+     * @param {string} [rule] - Key of lateJoinRules
+     * @param {number} [team] - Team index, in team play
+     * @returns {number} The new player's index, or -1 if they can't join
+     */
+    addPlayer({ name, handicap }, hole, rule = 'blank', team = null) {
+      if (getRosterLock(round) || !Number.isInteger(hole) || hole < 0 || hole >= round.pars.length) return -1;
+      if (round.teams && !round.teams.list[team]) return -1;
+
+      const scores = getLateJoinScores(round.teams ? 'blank' : rule, round.pars, hole, round.maxStrokes);
+      const player = { name: String(name).slice(0, 20), handicap: parseHandicap(handicap), scores, total: getPlayerTotal(scores) };
+      if (hole > 0) player.joined = hole;
+
+      round.players.push(player);
+      const index = round.players.length - 1;
+      if (round.teams) round.teams.list[team].members.push(index);
+      emit({ type: 'roster', action: 'add', player: index });
+      return index;
+    },
+
+    /**
+     * Withdraw a player after the last hole they scored. Their scores stay on the
+     * scorecards; they drop out of the standings. Someone has to be left to win,
+     * and every team keeps at least one player.
+     * @param {number} idx - Player index
+     * @returns {boolean} Whether the player was withdrawn
+     */
+    withdrawPlayer(idx) {
+      const player = round.players[idx];
+      if (!player || hasWithdrawn(player) || getRosterLock(round)) return false;
+
+      const team = round.teams?.list.find(t => t.members.includes(idx));
+      const left = team
+        ? team.members.filter(i => i !== idx && !hasWithdrawn(round.players[i]))
+        : round.players.filter((p, i) => i !== idx && isRankedPlayer(p));
+      if (left.length === 0) return false;
+
+      player.withdrawn = player.scores.reduce((last, s, hi) => (s === null ? last : hi + 1), 0);
+      emit({ type: 'roster', action: 'withdraw', player: idx });
+      return true;
+    },
+
+    // Bring a withdrawn player back, e.g. after a withdrawal by mistake
+    reinstatePlayer(idx) {
+      const player = round.players[idx];
+      if (!player || !hasWithdrawn(player) || getRosterLock(round)) return false;
+
+      delete player.withdrawn;
+      emit({ type: 'roster', action: 'reinstate', player: idx });
+      return true;
+    },
+
+    renamePlayer(idx, name) {
+      const player = round.players[idx];
+      const tidy = String(name ?? '').trim().slice(0, 20);
+      if (!player || !tidy || tidy === player.name) return false;
+
+      player.name = tidy;
+      emit({ type: 'roster', action: 'rename', player: idx });
+      return true;
+    },
+
+    /**
+     * Move a player to another place in the order. Teams and the playoff follow
+     * the players to their new indices; listeners get the order to do the same
+     * ({ order }: new index → old index).
+     * @param {number} from - Player index
+     * @param {number} to - Index to move the player to
+     * @returns {boolean} Whether the order changed
+     */
+    movePlayer(from, to) {
+      if (!round.players[from] || !round.players[to] || from === to || round.playoff) return false;
+
+      const order = round.players.map((p, i) => i);
+      order.splice(to, 0, ...order.splice(from, 1));
+      const moved = order.map(i => round.players[i]);
+      round.players.splice(0, moved.length, ...moved);
+
+      const remap = i => order.indexOf(i);
+      round.teams?.list.forEach(team => {
+        team.members = team.members.map(remap).sort((a, b) => a - b);
+      });
+      emit({ type: 'roster', action: 'move', player: to, order });
+      return true;
+    },
+
+    /**
+     * Standings of whoever is ranked: the teams in team play, else the players
+     * @returns {Object} Output of getStandings()
+     */
+    getStandings() {
+      return getStandings(getRankedRound(round));
+    },
+
+    getParDifferential(idx, net = false) {
+      return getParDifferential(round, round.players[idx], net);
+    },
+
+    serialize() {
+      return serializeRound(round);
+    }
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MAX_STROKES,
+    MAX_HANDICAP,
+    getScoreDescription,
+    getParDifferential,
+    formatParDiff,
+    getPlayerTotal,
+    isValidHandicap,
+    parseHandicap,
+    getHandicapStrokes,
+    getNetTotal,
+    getStandingTotal,
+    scoringFormats,
+    isValidFormat,
+    getHoleScore,
+    getStablefordPoints,
+    isHoleComplete,
+    getSkins,
+    getMatchState,
+    getStandings,
+    getFormatHoleCell,
+    tiebreakers,
+    isValidTiebreaker,
+    compareTiebreakKeys,
+    formatRank,
+    isValidScore,
+    maxStrokeRules,
+    isValidMaxStrokes,
+    getStrokeCap,
+    isCappedScore,
+    teamModes,
+    isValidTeams,
+    groupTeams,
+    getTeamHoleScore,
+    getTeamRound,
+    getRankedRound,
+    lateJoinRules,
+    isValidLateJoinRule,
+    getLateJoinScores,
+    hasWithdrawn,
+    isPlayingHole,
+    isRankedPlayer,
+    getPlayedScores,
+    getRosterLock,
+    compareLiveCells,
+    restorePlayers,
+    serializePlayer,
+    serializeRound,
+    createGame
+  };
+}
@@ -0,0 +1,186 @@
+// ini.js - Royal Mini Golf Quest INI reader and writer
+//
+// Used by app.js for the course manifest (holes.ini) and loadable in Node with
+// require('./ini.js'); test/ini.test.js checks it against holes.ini (npm test).
+//
+// Syntax:
+//   [section]                 keys belong to the last section header
+//   key = value               whitespace around keys and values is ignored
+//   ; comment  # comment      whole-line comments
+//   key = value ; comment     inline comments need whitespace before them; a "#"
+//                             also needs whitespace after it, so "#b91c1c" and
+//                             "Hole #3" are values
+//   key = "quoted ; value"    double quotes keep whitespace and comment marks and
+//                             understand escapes; single quotes are literal
+//   \n \t \\ \" \' \; \#       escapes, in double-quoted and unquoted values
+//   key = first line \        a backslash at the end of a line carries the value
+//     second line             on; a quoted value runs until its closing quote.
+//                             Either way the value keeps the line break.
+'use strict';
+
+const INI_ESCAPES = { n: '\n', t: '\t', r: '\r', '\\': '\\', '"': '"', "'": "'", ';': ';', '#': '#' };
+
+/**
+ * Read an INI document
+ * @param {string} text - INI source
+ * @returns {{sections: Object, globals: Object, lines: Object, warnings: Array<{line: number, message: string}>}}
+ *   sections maps section → key → value, globals holds keys found before the first
+ *   section, and lines maps section → key → line number (the header line under '',
+ *   keys before the first section under lines['']).
+ */
+function parseINIDocument(text) {
+  const source = String(text ?? '').replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  const doc = { sections: {}, globals: {}, lines: { '': {} }, warnings: [] };
+  const warn = (line, message) => doc.warnings.push({ line, message });
+
+  let section = null; // null before the first header
+  let skipping = false; // after a broken header, until the next good one
+  let next = 0;
+  const nextLine = () => (next < source.length ? source[next++] : null);
+
+  while (next < source.length) {
+    const lineNo = next + 1;
+    const line = nextLine().trim();
+    if (!line || line.startsWith(';') || line.startsWith('#')) continue;
+
+    if (line.startsWith('[')) {
+      const match = line.match(/^\[([^\]]*)\]\s*(?:[;#].*)?$/);
+      const name = match ? match[1].trim() : '';
+      if (!name) {
+        warn(lineNo, `malformed section header ${line}; its keys are ignored`);
+        skipping = true;
+        continue;
+      }
+
+      skipping = false;
+      section = name;
+      if (doc.sections[name]) {
+        warn(lineNo, `section [${name}] repeats line ${doc.lines[name]['']}; its keys are merged`);
+      } else {
+        doc.sections[name] = {};
+        doc.lines[name] = { '': lineNo };
+      }
+      continue;
+    }
+
+    const eq = line.indexOf('=');
+    if (eq <= 0) {
+      warn(lineNo, eq === 0 ? 'missing key before "="' : `expected "key = value", got "${line}"`);
+      continue;
+    }
+
+    const key = line.slice(0, eq).trim();
+    const value = readINIValue(line.slice(eq + 1), nextLine, message => warn(lineNo, message));
+    if (skipping) continue;
+
+    const target = section === null ? doc.globals : doc.sections[section];
+    const lines = doc.lines[section ?? ''];
+    if (Object.prototype.hasOwnProperty.call(target, key)) {
+      warn(lineNo, `"${key}" repeats line ${lines[key]}; the last value is used`);
+    }
+    target[key] = value;
+    lines[key] = lineNo;
+  }
+
+  return doc;
+}
+
+/**
+ * Read a value, pulling in further lines for multiline values
+ * @param {string} text - Everything after the "="
+ * @param {function(): (string|null)} nextLine - Next source line, or null at the end
+ * @param {function(string): void} warn - Reports a problem on the key's line
+ * @returns {string} The value
+ */
+function readINIValue(text, nextLine, warn) {
+  let rest = text.trim();
+  const quote = rest[0] === '"' || rest[0] === "'" ? rest[0] : null;
+
+  if (quote) {
+    let value = '';
+    let pos = 1;
+    for (;;) {
+      for (; pos < rest.length; pos++) {
+        const c = rest[pos];
+        if (c === quote) {
+          const after = rest.slice(pos + 1).trim();
+          if (after && !/^[;#]/.test(after)) warn(`text after the closing quote ignored: "${after}"`);
+          return value;
+        }
+        if (c === '\\' && quote === '"' && pos + 1 < rest.length) {
+          value += INI_ESCAPES[rest[++pos]] ?? `\\${rest[pos]}`;
+        } else {
+          value += c;
+        }
+      }
+
+      const line = nextLine();
+      if (line === null) {
+        warn(`missing closing ${quote}`);
+        return value;
+      }
+      value += '\n';
+      rest = line;
+      pos = 0;
+    }
+  }
+
+  let value = '';
+  for (let pos = 0; pos < rest.length; pos++) {
+    const c = rest[pos];
+    if (c === '\\' && pos === rest.length - 1) {
+      const line = nextLine();
+      if (line === null) break;
+      value = value.trimEnd() + '\n';
+      rest = line.trim();
+      pos = -1;
+    } else if (c === '\\') {
+      value += INI_ESCAPES[rest[++pos]] ?? `\\${rest[pos]}`;
+    } else if (/\s/.test(rest[pos - 1] ?? '') && (c === ';' || (c === '#' && /^\s?$/.test(rest[pos + 1] ?? '')))) {
+      break;
+    } else {
+      value += c;
+    }
+  }
+  return value.trim();
+}
+
+/**
+ * Read an INI document, keeping only the sections
+ * @param {string} text - INI source
+ * @returns {Object} { section: { key: value } }
+ */
+function parseINI(text) {
+  return parseINIDocument(text).sections;
+}
+
+// Values the parser would read differently as written are double-quoted
+function formatINIValue(value) {
+  const text = String(value ?? '');
+  const plain = text === text.trim() && !/^["']/.test(text) &&
+    !/[\\\r\n\t]/.test(text) && !/\s;|\s#(\s|$)/.test(text);
+  if (plain) return text;
+
+  const escaped = text.replace(/[\\"\n\r\t]/g, c => ({ '\n': '\\n', '\r': '\\r', '\t': '\\t' })[c] ?? `\\${c}`);
+  return `"${escaped}"`;
+}
+
+/**
+ * Write sections out so that parseINI() reads back the same values
+ * @param {Object} data - { section: { key: value } }, as returned by parseINI(), or
+ *   { section: [[key, value], ...] } to control the key order (objects list numeric keys first)
+ * @param {string} [header] - Comment block written above the first section
+ * @returns {string} INI text
+ */
+function serializeINI(data, header = '') {
+  const sections = Object.entries(data).map(([section, entries]) => [
+    `[${section}]`,
+    ...(Array.isArray(entries) ? entries : Object.entries(entries)).map(([key, value]) =>
+      `${key} = ${formatINIValue(value)}`)
+  ].join('\n'));
+  return (header ? header.trimEnd() + '\n\n' : '') + sections.join('\n\n') + '\n';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseINI, parseINIDocument, serializeINI };
+}
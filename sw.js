@@ -0,0 +1,113 @@
+// sw.js - Royal Mini Golf Quest offline support
+//
+// Precaches the app so it keeps working in the signal dead zones around the
+// course. Bump CACHE_VERSION with every deploy: the new worker installs next to
+// the old one and waits until the player accepts the update prompt in the app.
+
+const CACHE_VERSION = 'v3';
+const CACHE_PREFIX = 'royal-mini-golf-';
+const APP_CACHE = `${CACHE_PREFIX}${CACHE_VERSION}`;
+const FONT_CACHE = `${CACHE_PREFIX}fonts`;
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'ini.js',
+  'engine.js',
+  'app.js',
+  'styles.css',
+  'holes.ini',
+  'manifest.webmanifest',
+  'icon.svg'
+];
+const FONT_CSS_URL = 'https://fonts.googleapis.com/css2?family=Cinzel:wght@400;600;700&display=swap';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// The font stylesheet lists the font files; cache both. Fonts are optional, so
+// an install without them (e.g. first opened offline) still succeeds.
+function precacheFonts() {
+  return caches.open(FONT_CACHE)
+    .then(cache => fetch(FONT_CSS_URL)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return cache.put(FONT_CSS_URL, res.clone()).then(() => res.text());
+      })
+      .then(css => {
+        const urls = [...css.matchAll(/url\((https:[^)]+)\)/g)].map(m => m[1]);
+        return cache.addAll(urls);
+      }))
+    .catch(err => console.warn('Fonts not precached:', err));
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(APP_CACHE)
+      // Straight from the server: the HTTP cache may still hold the last version
+      .then(cache => cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' }))))
+      .then(precacheFonts)
+  );
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== APP_CACHE && key !== FONT_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Sent by the app when the player accepts the update
+self.addEventListener('message', event => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+function cacheFirst(request, cacheName) {
+  return caches.match(request).then(cached => cached || fetch(request).then(res => {
+    if (res.ok) {
+      const copy = res.clone();
+      caches.open(cacheName).then(cache => cache.put(request, copy));
+    }
+    return res;
+  }));
+}
+
+function networkFirst(request, cacheName) {
+  return fetch(request)
+    .then(res => {
+      if (res.ok) {
+        const copy = res.clone();
+        caches.open(cacheName).then(cache => cache.put(request, copy));
+      }
+      return res;
+    })
+    .catch(err => caches.match(request).then(cached => cached || Promise.reject(err)));
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, FONT_CACHE));
+    return;
+  }
+
+  // Live events and other origins always go to the network
+  if (url.origin !== self.location.origin || url.pathname.includes('/api/')) return;
+
+  if (request.mode === 'navigate') {
+    // Every page is the app; ?mode=tv and other options are read by app.js
+    event.respondWith(caches.match('index.html').then(cached => cached || fetch(request)));
+  } else if (url.pathname.endsWith('/holes.ini')) {
+    // Course changes go live on the next load, the cached copy covers dead zones
+    event.respondWith(networkFirst(request, APP_CACHE));
+  } else if (APP_SHELL.some(file => url.pathname.endsWith(`/${file}`))) {
+    event.respondWith(cacheFirst(request, APP_CACHE));
+  } else {
+    event.respondWith(networkFirst(request, APP_CACHE));
+  }
+});
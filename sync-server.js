@@ -0,0 +1,348 @@
+// sync-server.js - Royal Mini Golf Quest live event server
+// Lets several phones score one event: each device scores its own group and
+// every device sees the merged leaderboard.
+//
+// Usage: node sync-server.js [port]    (default 8787, no dependencies)
+// Then open http://<this-machine>:<port>/ on each phone and enter the same
+// event code in setup. The app is served from this folder as well.
+//
+// API (JSON):
+//   GET /api/events/:code         Current event snapshot
+//   PUT /api/events/:code         Join or update: { device, group, label, round, players }
+//   GET /api/events/:code/stream  Server-sent events; a "snapshot" on every change
+//
+// A group is normally scored by the device that created it, but another device
+// can take it over (a flat battery, a second scorer). Each score is stored with
+// a clock and the id of the device that wrote it, and conflicting edits to the
+// same hole are resolved by compareLiveCells() from engine.js, which the app
+// uses too, so they come out the same way everywhere.
+//
+// Events live in memory. Devices push their whole group on every change and
+// again whenever they reconnect, so a restarted server is rebuilt as phones
+// come back online.
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { compareLiveCells, MAX_STROKES } = require('./engine.js');
+
+////////////////////////////////////////////////////////////////////////////////
+// Configuration
+////////////////////////////////////////////////////////////////////////////////
+const PORT = parseInt(process.argv[2] || process.env.PORT, 10) || 8787;
+const ROOT = __dirname;
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_EVENTS = 100;
+const MAX_GROUPS = 30;
+const MAX_GROUP_PLAYERS = 6;
+const MAX_ROUND_HOLES = 72;
+const EVENT_IDLE_MS = 24 * 60 * 60 * 1000;
+const KEEPALIVE_MS = 25 * 1000;
+const CODE_PATTERN = /^[A-Z0-9]{4,8}$/;
+const DEVICE_PATTERN = /^[a-z0-9]{4,32}$/;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.ini': 'text/plain; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2'
+};
+
+////////////////////////////////////////////////////////////////////////////////
+// Events
+////////////////////////////////////////////////////////////////////////////////
+// code -> { code, round, groups: Map(group id -> group), clients: Set(res), updated }
+const events = new Map();
+
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sameRound(a, b) {
+  return a.holes.length === b.holes.length &&
+    a.holes.every((h, i) => h.course === b.holes[i].course && h.hole === b.holes[i].hole);
+}
+
+function parseRound(value) {
+  if (!value || !Array.isArray(value.holes) || !Array.isArray(value.pars)) {
+    throw new RequestError(400, 'round needs holes and pars');
+  }
+  const { holes, pars } = value;
+  if (holes.length === 0 || holes.length > MAX_ROUND_HOLES || pars.length !== holes.length) {
+    throw new RequestError(400, 'round holes and pars do not match');
+  }
+
+  return {
+    course: String(value.course || '').slice(0, 40),
+    label: String(value.label || '').slice(0, 80),
+    holes: holes.map(h => {
+      if (!h || typeof h.course !== 'string' || !Number.isInteger(h.hole) || h.hole < 1) {
+        throw new RequestError(400, 'invalid round hole');
+      }
+      return { course: h.course.slice(0, 40), hole: h.hole };
+    }),
+    pars: pars.map(par => {
+      if (!Number.isInteger(par) || par < 1 || par > MAX_STROKES) throw new RequestError(400, 'invalid par');
+      return par;
+    })
+  };
+}
+
+function parseCell(cell, device) {
+  if (cell === null || cell === undefined) return null;
+
+  const v = cell.v === null ? null : cell.v;
+  if (v !== null && (!Number.isInteger(v) || v < 1 || v > MAX_STROKES)) {
+    throw new RequestError(400, 'invalid score');
+  }
+  if (typeof cell.t !== 'number' || !Number.isFinite(cell.t) || cell.t < 0) {
+    throw new RequestError(400, 'invalid score clock');
+  }
+  // Other devices' edits to this group are echoed back with their own ids
+  const d = typeof cell.d === 'string' && DEVICE_PATTERN.test(cell.d) ? cell.d : device;
+  return { v, t: cell.t, d };
+}
+
+function parseGroup(body, holeCount) {
+  const { device } = body;
+  const id = body.group ?? device;
+  if (typeof device !== 'string' || !DEVICE_PATTERN.test(device) ||
+      typeof id !== 'string' || !DEVICE_PATTERN.test(id)) {
+    throw new RequestError(400, 'invalid device or group id');
+  }
+  if (!Array.isArray(body.players) || body.players.length === 0 || body.players.length > MAX_GROUP_PLAYERS) {
+    throw new RequestError(400, `a group has 1 to ${MAX_GROUP_PLAYERS} players`);
+  }
+
+  return {
+    id,
+    label: String(body.label || '').slice(0, 40),
+    players: body.players.map(p => {
+      if (!p || !Array.isArray(p.scores) || p.scores.length !== holeCount) {
+        throw new RequestError(400, 'player scores do not match the round');
+      }
+      return {
+        name: String(p.name || 'Player').slice(0, 20),
+        handicap: Number.isInteger(p.handicap) ? p.handicap : 0,
+        scores: p.scores.map(cell => parseCell(cell, device))
+      };
+    })
+  };
+}
+
+/**
+ * Merge a device's group into the event, cell by cell
+ * @param {Object} event - Event being updated
+ * @param {Object} group - Parsed group from the device
+ * @returns {boolean} Whether anything changed
+ */
+function mergeGroup(event, group) {
+  const existing = event.groups.get(group.id);
+  if (!existing) {
+    if (event.groups.size >= MAX_GROUPS) throw new RequestError(409, 'this event is full');
+    event.groups.set(group.id, group);
+    return true;
+  }
+
+  let changed = existing.label !== group.label || existing.players.length !== group.players.length;
+  existing.label = group.label;
+
+  // Names and handicaps follow the latest push; scores keep the winning cell
+  existing.players = group.players.map((player, i) => {
+    const prev = existing.players[i];
+    if (!prev) return player;
+    if (prev.name !== player.name || prev.handicap !== player.handicap) changed = true;
+    return {
+      ...player,
+      scores: player.scores.map((cell, hi) => {
+        if (compareLiveCells(cell, prev.scores[hi]) > 0) {
+          changed = true;
+          return cell;
+        }
+        return prev.scores[hi];
+      })
+    };
+  });
+
+  return changed;
+}
+
+function getSnapshot(event) {
+  return {
+    code: event.code,
+    round: event.round,
+    groups: [...event.groups.values()].map(g => ({ id: g.id, label: g.label, players: g.players }))
+  };
+}
+
+function broadcast(event) {
+  const data = `event: snapshot\ndata: ${JSON.stringify(getSnapshot(event))}\n\n`;
+  event.clients.forEach(res => res.write(data));
+}
+
+// Drop idle events nobody is watching
+function pruneEvents() {
+  const now = Date.now();
+  events.forEach((event, code) => {
+    if (event.clients.size === 0 && now - event.updated > EVENT_IDLE_MS) events.delete(code);
+  });
+}
+
+////////////////////////////////////////////////////////////////////////////////
+// HTTP
+////////////////////////////////////////////////////////////////////////////////
+function sendJSON(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readJSON(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      // The rest of the body is read and dropped so the 413 reaches the client
+      if (size > MAX_BODY_BYTES) {
+        chunks.length = 0;
+        reject(new RequestError(413, 'request too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) return;
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (e) {
+        reject(new RequestError(400, 'invalid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function handleJoin(req, res, code) {
+  return readJSON(req).then(body => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new RequestError(400, 'expected a JSON object');
+    }
+    const round = parseRound(body.round);
+    const group = parseGroup(body, round.holes.length);
+    let event = events.get(code);
+
+    if (!event) {
+      pruneEvents();
+      if (events.size >= MAX_EVENTS) throw new RequestError(503, 'too many events on this server');
+      event = { code, round, groups: new Map(), clients: new Set(), updated: Date.now() };
+      events.set(code, event);
+      console.log(`Event ${code} created (${round.label || round.course})`);
+    } else if (!sameRound(event.round, round)) {
+      throw new RequestError(409, `event ${code} is playing ${event.round.label || 'a different round'}`);
+    }
+
+    if (mergeGroup(event, group)) {
+      event.updated = Date.now();
+      broadcast(event);
+    }
+    sendJSON(res, 200, getSnapshot(event));
+  });
+}
+
+function handleStream(req, res, event) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write(`retry: 3000\nevent: snapshot\ndata: ${JSON.stringify(getSnapshot(event))}\n\n`);
+
+  event.clients.add(res);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEPALIVE_MS);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    event.clients.delete(res);
+  });
+}
+
+function handleApi(req, res, parts) {
+  const code = String(parts[0] || '').toUpperCase();
+  if (!CODE_PATTERN.test(code)) throw new RequestError(400, 'event codes are 4 to 8 letters or digits');
+
+  if (req.method === 'PUT' && parts.length === 1) return handleJoin(req, res, code);
+
+  const event = events.get(code);
+  if (req.method !== 'GET') throw new RequestError(405, 'method not allowed');
+  if (!event) throw new RequestError(404, `no event ${code}`);
+
+  if (parts.length === 1) return sendJSON(res, 200, getSnapshot(event));
+  if (parts[1] === 'stream') return handleStream(req, res, event);
+  throw new RequestError(404, 'not found');
+}
+
+function serveStatic(req, res, pathname) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') throw new RequestError(405, 'method not allowed');
+
+  let name;
+  try {
+    name = pathname === '/' ? 'index.html' : decodeURIComponent(pathname);
+  } catch (e) {
+    throw new RequestError(400, 'malformed path');
+  }
+
+  const file = path.normalize(path.join(ROOT, name));
+  const type = CONTENT_TYPES[path.extname(file)];
+  if (!file.startsWith(ROOT + path.sep) || !type) throw new RequestError(404, 'not found');
+
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      sendJSON(res, 404, { error: 'not found' });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': type });
+    res.end(req.method === 'HEAD' ? undefined : data);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  // The app may be hosted elsewhere and point at this server with ?sync=
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const fail = err => {
+    if (!(err instanceof RequestError)) console.error('Request failed:', err);
+    // Don't keep the connection for the rest of a body that was turned away
+    const headers = err.status === 413 ? { Connection: 'close' } : {};
+    if (!res.headersSent) sendJSON(res, err.status || 500, { error: err.status ? err.message : 'server error' }, headers);
+  };
+
+  try {
+    const api = pathname.match(/^\/api\/events\/(.*)$/);
+    const result = api ? handleApi(req, res, api[1].split('/').filter(Boolean)) : serveStatic(req, res, pathname);
+    Promise.resolve(result).catch(fail);
+  } catch (err) {
+    fail(err);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Royal Mini Golf sync server on http://localhost:${PORT}/`);
+});
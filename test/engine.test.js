@@ -0,0 +1,305 @@
+// Tests for engine.js: scoring rules and round state without a browser. node --test
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../engine.js');
+
+const {
+  getScoreDescription, getParDifferential, getHandicapStrokes, getStandings, getSkins, getMatchState,
+  getStablefordPoints, formatRank, getStrokeCap, isCappedScore, getLateJoinScores, isHoleComplete,
+  restorePlayers, serializeRound, compareLiveCells, createGame, MAX_STROKES
+} = engine;
+
+/**
+ * A round for the rules to work on
+ * @param {Object} options - Round fields; players as { name: scores } with null for unplayed holes
+ * @returns {Object} Round
+ */
+function makeRound({ players, pars, ...rest }) {
+  return {
+    course: 'test',
+    holes: pars.map((par, i) => ({ course: 'test', hole: i + 1 })),
+    pars,
+    scoring: 'gross',
+    format: 'stroke',
+    tiebreaker: 'share',
+    maxStrokes: 'unlimited',
+    playoff: null,
+    teams: null,
+    ...rest,
+    players: Object.entries(players).map(([name, scores]) => ({
+      name,
+      handicap: 0,
+      scores,
+      total: scores.reduce((sum, s) => sum + (s ?? 0), 0)
+    }))
+  };
+}
+
+const names = standings => standings.entries.map(e => `${formatRank(e)} ${e.player.name}`);
+
+test('score descriptions', () => {
+  assert.equal(getScoreDescription(1, 3).class, 'hole-in-one');
+  assert.equal(getScoreDescription(2, 4).class, 'eagle');
+  assert.equal(getScoreDescription(2, 3).class, 'birdie');
+  assert.equal(getScoreDescription(3, 3).class, 'par');
+  assert.equal(getScoreDescription(4, 3).class, 'bogey');
+  assert.equal(getScoreDescription(5, 3).class, 'double-bogey');
+  assert.equal(getScoreDescription(6, 3).text, '+3');
+});
+
+test('par differential over the holes played, gross and net', () => {
+  const round = makeRound({ pars: [2, 3, 2, 3], players: { Ann: [3, 4, null, null] } });
+  const [ann] = round.players;
+  assert.equal(getParDifferential(round, ann), '+2');
+  ann.handicap = 18; // scaled to the 4 holes: a stroke a hole
+  assert.equal(getParDifferential(round, ann, true), 'E');
+  assert.equal(getParDifferential(round, { scores: [null, null, null, null] }), 'E');
+});
+
+test('handicap strokes spread evenly and scale to the round', () => {
+  assert.equal(getHandicapStrokes(9, 18).reduce((a, b) => a + b), 9);
+  assert.deepEqual(getHandicapStrokes(18, 9), Array(9).fill(1));
+  assert.deepEqual(getHandicapStrokes(0, 3), [0, 0, 0]);
+});
+
+test('stroke play standings: fewest strokes first, level players share a placing', () => {
+  const round = makeRound({
+    pars: [2, 3, 2],
+    players: { Ann: [3, 3, 3], Bob: [2, 3, 2], Cy: [3, 3, 3] }
+  });
+  assert.deepEqual(names(getStandings(round)), ['1 Bob', 'T2 Ann', 'T2 Cy']);
+});
+
+test('net scoring ranks after handicap strokes', () => {
+  const round = makeRound({ pars: [2, 3, 2], scoring: 'net', players: { Ann: [3, 4, 3], Bob: [2, 3, 2] } });
+  round.players[0].handicap = 54; // 9 strokes over 3 holes
+  assert.deepEqual(names(getStandings(round)), ['1 Ann', '2 Bob']);
+});
+
+test('countback splits a tie on the closing holes', () => {
+  const pars = Array(18).fill(2);
+  const even = Array(18).fill(2);
+  const late = [...Array(9).fill(3), ...Array(9).fill(1)]; // same 36, better back nine
+  const round = makeRound({ pars, tiebreaker: 'countback', players: { Ann: even, Bob: late } });
+  const standings = getStandings(round);
+  assert.deepEqual(names(standings), ['1 Bob', '2 Ann']);
+  assert.deepEqual(standings.entries.map(e => e.value), [36, 36]);
+  assert.equal(standings.decidedBy, 'on countback');
+});
+
+test('countback falls through to the last 6, 3 and 1 holes', () => {
+  const pars = Array(18).fill(2);
+  const ann = Array(18).fill(2);
+  const bob = Array(18).fill(2);
+  bob[0] = 3; // level overall...
+  bob[1] = 1;
+  bob[9] = 3; // ...and over the last 9...
+  bob[17] = 1; // ...but better over the last 6
+  const round = makeRound({ pars, tiebreaker: 'countback', players: { Ann: ann, Bob: bob } });
+  const standings = getStandings(round);
+  assert.deepEqual(names(standings), ['1 Bob', '2 Ann']);
+  assert.deepEqual(standings.entries.map(e => e.tiebreak), [[18, 11, 5, 1], [18, 12, 6, 2]]);
+});
+
+test('sharing the placing leaves ties level', () => {
+  const round = makeRound({ pars: [2, 2], players: { Ann: [3, 1], Bob: [1, 3] } });
+  const standings = getStandings(round);
+  assert.deepEqual(names(standings), ['T1 Ann', 'T1 Bob']);
+  assert.equal(standings.decidedBy, null);
+});
+
+test('fewest blow-up holes breaks a tie', () => {
+  const round = makeRound({ pars: [2, 2, 2], tiebreaker: 'fewest', players: { Ann: [11, 1, 1], Bob: [5, 4, 4] } });
+  assert.deepEqual(names(getStandings(round)), ['1 Bob', '2 Ann']);
+});
+
+test('skins: tied holes carry over to the next outright winner', () => {
+  const round = makeRound({
+    format: 'skins',
+    pars: [2, 2, 2, 2],
+    players: { Ann: [2, 2, 3, 2], Bob: [2, 3, 2, 2], Cy: [2, 2, 3, null] }
+  });
+  const skins = getSkins(round);
+  assert.deepEqual(skins.holes.map(h => h && [h.winner, h.value]), [[null, 1], [null, 2], [1, 3], null]);
+  assert.deepEqual(skins.won, [0, 3, 0]);
+  assert.equal(skins.carry, 0);
+
+  const standings = getStandings(round);
+  assert.deepEqual(names(standings), ['1 Bob', 'T2 Ann', 'T2 Cy']);
+  assert.equal(standings.entries[0].text, '3 skins');
+});
+
+test('skins: unclaimed skins are reported as carried over', () => {
+  const round = makeRound({ format: 'skins', pars: [2, 2], players: { Ann: [2, 3], Bob: [2, 3] } });
+  assert.equal(getSkins(round).carry, 2);
+  assert.equal(getStandings(round).status, '2 skins carried over');
+});
+
+test('match play status through the round', () => {
+  const pars = [2, 2, 2, 2, 2];
+  const match = (a, b) => getMatchState(makeRound({ format: 'match', pars, players: { Ann: a, Bob: b } }));
+
+  assert.equal(match([null, null, null, null, null], [null, null, null, null, null]).status, 'All square');
+  assert.equal(match([2, 3, null, null, null], [3, 2, null, null, null]).status, 'All square with 3 to play');
+  assert.equal(match([1, 2, 2, null, null], [2, 2, 2, null, null]).status, 'Ann 1 UP with 2 to play');
+  assert.equal(match([1, 1, 2, null, null], [2, 2, 2, null, null]).status, 'Ann 2 UP with 2 to play (dormie)');
+  assert.equal(match([3, 3, 3, null, null], [2, 2, 2, null, null]).status, 'Bob wins 3 & 2');
+  assert.equal(match([2, 2, 2, 2, 1], [2, 2, 2, 2, 2]).status, 'Ann wins 1 UP');
+  assert.equal(match([2, 2, 2, 2, 2], [2, 2, 2, 2, 2]).status, 'Match halved');
+});
+
+test('match play only settles holes both players have finished', () => {
+  const round = makeRound({ format: 'match', pars: [2, 2, 2], players: { Ann: [1, 1, null], Bob: [2, null, null] } });
+  const standings = getStandings(round);
+  assert.equal(standings.detail.played, 1);
+  assert.deepEqual(standings.entries.map(e => e.text), ['1 UP', '1 DN']);
+});
+
+test('stableford points per hole and most points first', () => {
+  assert.deepEqual([1, 2, 3, 4, 5, 6].map(s => getStablefordPoints(s, 4)), [5, 4, 3, 2, 1, 0]);
+
+  const round = makeRound({ format: 'stableford', pars: [3, 3, 3], players: { Ann: [3, 3, 3], Bob: [2, 5, 4] } });
+  const standings = getStandings(round);
+  assert.deepEqual(names(standings), ['1 Ann', '2 Bob']);
+  assert.deepEqual(standings.entries.map(e => e.text), ['6 pts', '4 pts']);
+});
+
+test('max strokes caps a hole under each rule', () => {
+  assert.equal(getStrokeCap('unlimited', 3), null);
+  assert.equal(getStrokeCap('six', 3), 6);
+  assert.equal(getStrokeCap('parPlus3', 3), 6);
+  assert.equal(getStrokeCap('parPlus3', 4), 7);
+  assert.equal(getStrokeCap(undefined, 3), null);
+
+  const round = makeRound({ pars: [3, 4], maxStrokes: 'parPlus3', players: { Ann: [6, 6] } });
+  assert.equal(isCappedScore(round, 0, 6), true);
+  assert.equal(isCappedScore(round, 1, 6), false);
+});
+
+test('max strokes: the game refuses scores over the cap and restoring drops them', () => {
+  const round = makeRound({ pars: [2, 3], maxStrokes: 'six', players: { Ann: [null, null] } });
+  const game = createGame(round);
+  assert.equal(game.setScore(0, 0, 7), false);
+  assert.equal(game.setScore(0, 0, 6), true);
+  assert.equal(game.setScore(0, 1, MAX_STROKES + 1), false);
+
+  const [ann] = restorePlayers([{ name: 'Ann', scores: [6, 9] }], [2, 3], 'six');
+  assert.deepEqual(ann.scores, [6, null]);
+  assert.equal(ann.total, 6);
+});
+
+test('late joiners start with missed holes filled in by the rule, within the cap', () => {
+  assert.deepEqual(getLateJoinScores('par', [2, 3, 4], 2), [2, 3, null]);
+  assert.deepEqual(getLateJoinScores('doubleBogey', [2, 5, 4], 2, 'six'), [4, 6, null]);
+  assert.deepEqual(getLateJoinScores('blank', [2, 3, 4], 2), [null, null, null]);
+});
+
+test('subscribers hear about every recorded score', () => {
+  const game = createGame(makeRound({ pars: [2, 3], players: { Ann: [null, null], Bob: [null, null] } }));
+  const heard = [];
+  const stop = game.subscribe((change, round) => heard.push([change, round]));
+
+  assert.equal(game.setScore(0, 0, 3), true);
+  assert.equal(game.setScore([0, 1], 1, 4, 'undo'), true);
+  assert.equal(game.setScore(0, 0, 0), false);
+  assert.equal(game.setScore(0, 2, 3), false);
+
+  assert.deepEqual(heard.map(([change]) => change), [
+    { type: 'score', players: [0], hole: 0, strokes: 3, previous: [null], source: 'entry' },
+    { type: 'score', players: [0, 1], hole: 1, strokes: 4, previous: [null, null], source: 'undo' }
+  ]);
+  assert.equal(heard[0][1], game.round);
+  assert.equal(game.round.players[0].total, 7);
+
+  stop();
+  game.setScore(0, 0, null);
+  assert.equal(heard.length, 2);
+  assert.equal(game.round.players[0].total, 4);
+});
+
+test('subscribers hear about roster changes', () => {
+  const game = createGame(makeRound({ pars: [2, 2, 2], players: { Ann: [2, null, null], Bob: [2, null, null] } }));
+  const heard = [];
+  game.subscribe(change => heard.push(change));
+
+  assert.equal(game.addPlayer({ name: 'Cy', handicap: 0 }, 1, 'par'), 2);
+  assert.equal(game.withdrawPlayer(1), true);
+  assert.equal(game.renamePlayer(0, ' Annie '), true);
+  assert.equal(game.movePlayer(2, 0), true);
+
+  assert.deepEqual(heard, [
+    { type: 'roster', action: 'add', player: 2 },
+    { type: 'roster', action: 'withdraw', player: 1 },
+    { type: 'roster', action: 'rename', player: 0 },
+    { type: 'roster', action: 'move', player: 0, order: [2, 0, 1] }
+  ]);
+  assert.deepEqual(game.round.players.map(p => p.name), ['Cy', 'Annie', 'Bob']);
+  assert.deepEqual(game.round.players[0].scores, [2, null, null]);
+});
+
+test('holes are complete once everyone still playing them has scored', () => {
+  const game = createGame(makeRound({ pars: [2, 2, 2], players: { Ann: [2, null, null], Bob: [2, null, null] } }));
+  game.withdrawPlayer(1);
+  game.addPlayer({ name: 'Cy', handicap: 0 }, 2);
+  game.setScore(0, 1, 3);
+
+  assert.equal(isHoleComplete(game.round, 1), true);
+  assert.equal(isHoleComplete(game.round, 2), false);
+  game.setScore([0, 2], 2, 2);
+  assert.equal(isHoleComplete(game.round, 2), true);
+});
+
+test('a round plays through to the end around a withdrawal and a late joiner', () => {
+  const game = createGame(makeRound({ pars: [2, 2, 2, 2], players: { Ann: [null, null, null, null], Bob: [null, null, null, null] } }));
+  game.setScore([0, 1], 0, 2);
+  game.withdrawPlayer(1);
+  game.addPlayer({ name: 'Cy', handicap: 0 }, 2, 'par');
+
+  // Hole 1 waits for Ann only, hole 2 for Ann and Cy, who both play it
+  game.setScore(0, 1, 3);
+  assert.equal(isHoleComplete(game.round, 1), true);
+  game.setScore(0, 2, 2);
+  assert.equal(isHoleComplete(game.round, 2), false);
+  game.setScore(2, 2, 2);
+  game.setScore([0, 2], 3, 2);
+  assert.deepEqual(game.round.pars.map((par, hi) => isHoleComplete(game.round, hi)), [true, true, true, true]);
+  assert.deepEqual(names(game.getStandings()), ['1 Cy', '2 Ann']);
+});
+
+test('standings from the game leave withdrawn players out', () => {
+  const game = createGame(makeRound({ pars: [2, 2], players: { Ann: [3, 2], Bob: [1, null] } }));
+  game.withdrawPlayer(1);
+  assert.deepEqual(names(game.getStandings()), ['1 Ann']);
+  assert.equal(game.getParDifferential(0), '+1');
+});
+
+test('best-ball teams count the lowest score of the teammates playing the hole', () => {
+  const round = makeRound({ pars: [2, 2], players: { Ann: [3, 2], Bob: [2, 4], Cy: [2, 2], Di: [3, 3] } });
+  round.teams = { mode: 'bestball', list: [{ name: 'Red', members: [0, 1] }, { name: 'Blue', members: [2, 3] }] };
+  const standings = createGame(round).getStandings();
+  assert.deepEqual(standings.entries.map(e => [e.player.name, e.value]), [['Red', 4], ['Blue', 4]]);
+});
+
+test('a serialized round restores to the same players', () => {
+  const game = createGame(makeRound({ pars: [2, 3, 2], players: { Ann: [2, 3, null], Bob: [4, null, null] } }));
+  game.addPlayer({ name: 'Cy', handicap: 5 }, 1, 'blank');
+  game.withdrawPlayer(1);
+
+  const saved = JSON.parse(JSON.stringify(game.serialize()));
+  assert.deepEqual(saved, serializeRound(game.round));
+  assert.equal('total' in saved.players[0], false);
+
+  const players = restorePlayers(saved.players, saved.pars, saved.maxStrokes);
+  assert.deepEqual(players, game.round.players);
+});
+
+test('live score cells: later clock, then device id, then value wins', () => {
+  const cell = (v, t, d) => ({ v, t, d });
+  assert.ok(compareLiveCells(cell(3, 2, 'a'), cell(2, 1, 'z')) > 0);
+  assert.ok(compareLiveCells(cell(3, 1, 'b'), cell(2, 1, 'a')) > 0);
+  assert.ok(compareLiveCells(cell(3, 1, 'a'), cell(2, 1, 'a')) > 0);
+  assert.ok(compareLiveCells(cell(null, 5, 'a'), null) > 0);
+  assert.equal(compareLiveCells(null, null), 0);
+});
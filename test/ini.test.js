@@ -0,0 +1,101 @@
+// Tests for ini.js against the shipped course manifest: node --test
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseINI, parseINIDocument, serializeINI } = require('../ini.js');
+
+const HOLES_INI = fs.readFileSync(path.join(__dirname, '..', 'holes.ini'), 'utf8');
+const PARS = '2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 3, 2, 4';
+
+test('holes.ini parses without warnings into its two courses', () => {
+  const doc = parseINIDocument(HOLES_INI);
+  assert.deepEqual(doc.warnings, []);
+  assert.deepEqual(doc.globals, {});
+  assert.deepEqual(Object.keys(doc.sections), ['dragon', 'knight']);
+});
+
+test('holes.ini [dragon] values', () => {
+  const { dragon } = parseINI(HOLES_INI);
+  assert.equal(dragon.name, 'Dragon Slayer');
+  assert.equal(dragon.icon, '🐉');
+  assert.equal(dragon.color, '#b91c1c');
+  assert.equal(dragon.celebration, 'fire');
+  assert.equal(dragon.holes, '18');
+  assert.equal(dragon.boss, '18');
+  assert.equal(dragon.pars, PARS);
+  for (let hole = 1; hole <= 18; hole++) assert.ok(dragon[hole], `story for hole ${hole}`);
+  assert.match(dragon[1], /^Your quest begins at the Castle Gates—/);
+  assert.match(dragon[18], /claim victory\.$/);
+});
+
+test('holes.ini [knight] values', () => {
+  const { knight } = parseINI(HOLES_INI);
+  assert.equal(knight.name, 'Knight\'s Challenge');
+  assert.equal(knight.icon, '⚔️');
+  assert.equal(knight.color, '#1d4ed8');
+  assert.equal(knight.celebration, 'swords');
+  assert.equal(knight.holes, '18');
+  assert.equal(knight.pars, PARS);
+  for (let hole = 1; hole <= 18; hole++) assert.ok(knight[hole], `story for hole ${hole}`);
+  assert.match(knight[10], /^Through the King's Garden/);
+});
+
+test('holes.ini line numbers point at the section headers and keys', () => {
+  const { lines } = parseINIDocument(HOLES_INI);
+  const source = HOLES_INI.split('\n');
+  assert.equal(source[lines.dragon[''] - 1], '[dragon]');
+  assert.equal(source[lines.knight[''] - 1], '[knight]');
+  assert.match(source[lines.knight.pars - 1], /^pars = /);
+});
+
+test('holes.ini survives serializing and parsing again', () => {
+  const doc = parseINIDocument(HOLES_INI);
+  const again = parseINIDocument(serializeINI(doc.sections, '; Royal Mini Golf Quest - course manifest'));
+  assert.deepEqual(again.sections, doc.sections);
+  assert.deepEqual(again.warnings, []);
+});
+
+test('comments, quotes and escapes', () => {
+  const { a } = parseINI([
+    '# comment',
+    '[a]',
+    'plain = value ; inline comment',
+    'hash = Hole #3 #b91c1c # comment',
+    'quoted = "  keep ; this  " ; comment',
+    'single = \'no \\n escapes\'',
+    'escaped = one\\ntwo \\; three'
+  ].join('\n'));
+  assert.deepEqual(a, {
+    plain: 'value',
+    hash: 'Hole #3 #b91c1c',
+    quoted: '  keep ; this  ',
+    single: 'no \\n escapes',
+    escaped: 'one\ntwo ; three'
+  });
+});
+
+test('multiline values', () => {
+  const { a } = parseINI('[a]\nstory = first \\\n  second\nquoted = "one\ntwo"\nnext = 1');
+  assert.equal(a.story, 'first\nsecond');
+  assert.equal(a.quoted, 'one\ntwo');
+  assert.equal(a.next, '1');
+});
+
+test('line-numbered warnings', () => {
+  const doc = parseINIDocument('stray = 1\n[a]\nno equals\nx = 1\nx = 2\n[]\ny = 3\n[a]\nq = "open');
+  assert.deepEqual(doc.globals, { stray: '1' });
+  assert.deepEqual(doc.sections, { a: { x: '2', q: 'open' } });
+  assert.deepEqual(doc.warnings.map(w => w.line), [3, 5, 6, 8, 9]);
+  assert.match(doc.warnings[1].message, /"x" repeats line 4/);
+  assert.match(doc.warnings[3].message, /section \[a\] repeats line 2/);
+});
+
+test('serializeINI quotes values that would read back differently', () => {
+  const data = { a: { lead: ' space', semi: 'a ; b', hash: 'a # b', quote: '"q"', multi: 'x\ny', slash: 'c:\\d', ok: '#fff' } };
+  const text = serializeINI(data);
+  assert.match(text, /^ok = #fff$/m);
+  assert.deepEqual(parseINI(text), data);
+});
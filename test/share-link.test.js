@@ -0,0 +1,117 @@
+// Tests for rounds opened from share links (#round=...), run in the page itself
+// through jsdom: node --test
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Open the app as a phone would, with the local scripts inlined and fetch()
+ * answered from this folder
+ * @param {string} hash - Fragment of the address, e.g. '#round=...'
+ * @param {Object} [storage] - localStorage to start with
+ * @returns {Promise<Window>} Resolves once the course manifest has loaded
+ */
+function openApp(hash, storage = {}) {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+    .replace(/<script src="([^":]+)"><\/script>/g, (tag, src) =>
+      `<script>${fs.readFileSync(path.join(ROOT, src), 'utf8')}</script>`);
+
+  const { window } = new JSDOM(html, {
+    url: `http://localhost/index.html${hash}`,
+    runScripts: 'dangerously',
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole(),
+    beforeParse(win) {
+      win.scrollTo = () => {};
+      // Browsers have these; jsdom leaves them out
+      win.TextEncoder = TextEncoder;
+      win.TextDecoder = TextDecoder;
+      win.fetch = url => {
+        const file = path.join(ROOT, String(url).split('?')[0]);
+        return Promise.resolve(fs.existsSync(file)
+          ? { ok: true, status: 200, text: () => Promise.resolve(fs.readFileSync(file, 'utf8')) }
+          : { ok: false, status: 404, text: () => Promise.resolve('') });
+      };
+      Object.entries(storage).forEach(([key, value]) => win.localStorage.setItem(key, value));
+    }
+  });
+
+  const ready = () => window.eval('Object.keys(courses).length > 0');
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const poll = () => {
+      if (ready()) setTimeout(() => resolve(window), 50);
+      else if (Date.now() - started > 5000) reject(new Error('the app did not load'));
+      else setTimeout(poll, 10);
+    };
+    poll();
+  });
+}
+
+// A link to hole 18 of Dragon Slayer, level after 18 holes and into a playoff
+function shareHash(playoff) {
+  const players = [['Ann', 0, '2'.repeat(18)], ['Bob', 0, '2'.repeat(18)]];
+  const packed = [2, 'dragon', [['dragon', 1, 18]], 17, 'gross', 'stroke', 'playoff', players, null, null, playoff, 'unlimited'];
+  return `#round=${Buffer.from(JSON.stringify(packed)).toString('base64url')}`;
+}
+
+const playoffWith = (scores, survivors = null) => ({
+  entrants: [0, 1],
+  holes: [{ course: 'dragon', hole: 1, contenders: [0, 1], scores, survivors }]
+});
+
+const COUNTER_MODE = { royalMiniGolfEntryMode: 'counter' };
+const ATTACK = '<img src=x onerror="window.attacked=true">';
+
+test('a link with a valid playoff opens on the playoff hole', async () => {
+  const window = await openApp(shareHash(playoffWith({ 0: 3 })), COUNTER_MODE);
+  assert.equal(window.eval('gameStarted'), true);
+  assert.deepEqual(window.eval('JSON.stringify(playoff.holes[0].scores)'), '{"0":3}');
+  assert.equal(window.document.querySelector('.stroke-count').textContent, '3');
+});
+
+test('a link with markup for a playoff score opens without the playoff', async () => {
+  const hash = shareHash(playoffWith({ 0: ATTACK }));
+  const window = await openApp(hash, COUNTER_MODE);
+
+  const decoded = window.decodeRoundShare(hash.slice('#round='.length));
+  assert.equal(decoded.playoff.holes[0].scores[0], ATTACK);
+  assert.equal(window.isValidPlayoff(decoded.playoff), false);
+
+  assert.equal(window.eval('gameStarted'), true);
+  assert.equal(window.eval('playoff'), null);
+  assert.equal(window.document.querySelector('img[src="x"]'), null);
+  assert.equal(window.attacked, undefined);
+});
+
+test('playoff holes from a link are checked score by score', async () => {
+  const window = await openApp('');
+  window.eval('players = [{ name: "Ann" }, { name: "Bob" }, { name: "Cy" }]');
+  const valid = playoff => window.isValidPlayoff(JSON.parse(JSON.stringify(playoff)));
+
+  assert.equal(valid(playoffWith({ 0: 3, 1: 2 }, [1])), true);
+  assert.equal(valid(playoffWith({ 0: 0 })), false, 'not a score');
+  assert.equal(valid(playoffWith({ 0: '3' })), false, 'score as text');
+  assert.equal(valid(playoffWith({ 2: 3 })), false, 'not a contender');
+  assert.equal(valid(playoffWith({ '00': 3 })), false, 'odd key');
+  assert.equal(valid(playoffWith([3, 3])), false, 'scores as a list');
+  assert.equal(valid(playoffWith({}, [2])), false, 'survivor who wasn\'t playing');
+  assert.equal(valid(playoffWith({}, 'all')), false, 'survivors not a list');
+  assert.equal(valid(playoffWith({}, [])), false, 'no survivors');
+});
+
+test('playoff scores are escaped on the results', async () => {
+  const window = await openApp('');
+  const html = window.getPlayoffSummaryHTML({
+    players: [{ name: 'Ann' }],
+    playoff: { holes: [{ course: 'dragon', hole: 1, contenders: [0], scores: { 0: ATTACK }, survivors: [0] }] }
+  });
+  assert.ok(!html.includes('<img'));
+  assert.ok(html.includes('&lt;img'));
+});